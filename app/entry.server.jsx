@@ -4,9 +4,14 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startPricingScheduler } from "./utils/pricing-scheduler.server";
+import { startPriceJobWorker } from "./utils/price-jobs.server";
 
 export const streamTimeout = 5000;
 
+startPricingScheduler();
+startPriceJobWorker();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
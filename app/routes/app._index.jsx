@@ -16,6 +16,7 @@ import {
   Tooltip,
   Toast, // Added
   Frame, // Added
+  Banner,
 } from "@shopify/polaris";
 import {
   CollectionIcon,
@@ -27,17 +28,37 @@ import {
   ChatIcon,
   QuestionCircleIcon,
 } from "@shopify/polaris-icons";
-import { Link, useLoaderData } from "react-router";
+import { Link, useFetcher, useLoaderData } from "react-router";
 import { authenticate } from "../shopify.server";
+import { useI18n } from "../utils/i18n";
+import {
+  acknowledgeScheduledRun,
+  getPricingSchedule,
+  getUnacknowledgedFailure,
+} from "../utils/pricing-scheduler.server";
 
 // Loader: Auto-detect the shop name from the session
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
-  return { shop: session.shop };
+  const [schedule, scheduledFailure] = await Promise.all([
+    getPricingSchedule(session.shop),
+    getUnacknowledgedFailure(session.shop),
+  ]);
+  return { shop: session.shop, schedule, scheduledFailure };
+};
+
+// Action: dismiss the failed scheduled run banner
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  await acknowledgeScheduledRun(session.shop, formData.get("scheduledRunId"));
+  return { ok: true };
 };
 
 export default function Dashboard() {
-  const { shop } = useLoaderData();
+  const { shop, schedule, scheduledFailure } = useLoaderData();
+  const dismissFetcher = useFetcher();
+  const { t, formatDateTime, currencySymbol } = useI18n();
 
   // --- Feedback Modal State ---
   const [activeModal, setActiveModal] = useState(false);
@@ -67,7 +88,7 @@ export default function Dashboard() {
   // --- Submit Handler ---
   const handleFeedbackSubmit = async () => {
     if (!isValid) {
-      showToast("Please fill all required fields correctly", true);
+      showToast(t("dashboard.feedback.invalid"), true);
       return;
     }
 
@@ -89,7 +110,7 @@ export default function Dashboard() {
 
       if (!res.ok) throw new Error("Request failed");
 
-      showToast("Feedback sent successfully");
+      showToast(t("dashboard.feedback.sent"));
       setActiveModal(false);
 
       // Reset form
@@ -98,7 +119,7 @@ export default function Dashboard() {
       setMobile("");
       setQuery("");
     } catch (err) {
-      showToast("Failed to send feedback. Try again.", true);
+      showToast(t("dashboard.feedback.failed"), true);
     } finally {
       setLoading(false);
     }
@@ -117,6 +138,36 @@ export default function Dashboard() {
 
       <Page fullWidth>
         <Layout>
+          {/* Failed scheduled update since the last visit */}
+          {scheduledFailure && dismissFetcher.state === "idle" && !dismissFetcher.data && (
+            <Layout.Section>
+              <Banner
+                tone={scheduledFailure.status === "failed" ? "critical" : "warning"}
+                title={
+                  scheduledFailure.status === "failed"
+                    ? t("dashboard.scheduledFailure.failed")
+                    : t("dashboard.scheduledFailure.partial")
+                }
+                action={
+                  scheduledFailure.priceRunId
+                    ? { content: t("dashboard.scheduledFailure.viewRun"), url: `/app/history/${scheduledFailure.priceRunId}` }
+                    : { content: t("dashboard.scheduledFailure.openSettings"), url: "/app/settings" }
+                }
+                onDismiss={() =>
+                  dismissFetcher.submit(
+                    { scheduledRunId: scheduledFailure.id },
+                    { method: "post" }
+                  )
+                }
+              >
+                <p>
+                  {formatDateTime(scheduledFailure.startedAt)}
+                  {scheduledFailure.message ? ` — ${scheduledFailure.message}` : ""}
+                </p>
+              </Banner>
+            </Layout.Section>
+          )}
+
           {/* 1. HEADER: Gradient Background */}
           <Layout.Section>
             <div
@@ -131,15 +182,15 @@ export default function Dashboard() {
             >
               <BlockStack gap="200">
                 <Text as="h1" variant="heading2xl">
-                  Jewellery Price Manager
+                  {t("app.title")}
                 </Text>
                 <Text as="p" variant="bodyLg">
-                  The command center for automating your daily gold and silver pricing updates.
+                  {t("app.tagline")}
                 </Text>
                 <div style={{ marginTop: "10px" }}>
                   <Link to="/app/update-price">
                     <Button size="large" variant="primary">
-                      Open Price Editor
+                      {t("dashboard.openEditor")}
                     </Button>
                   </Link>
                 </div>
@@ -154,15 +205,15 @@ export default function Dashboard() {
                 {/* Header with Question Mark Icon on the right */}
                 <InlineStack align="space-between" blockAlign="center">
                   <Text as="h2" variant="headingLg">
-                    How it Works
+                    {t("dashboard.howItWorks.title")}
                   </Text>
-                  <Tooltip content="Need detailed documentation?">
+                  <Tooltip content={t("dashboard.howItWorks.docsTooltip")}>
                     <Icon source={QuestionCircleIcon} tone="subdued" />
                   </Tooltip>
                 </InlineStack>
 
                 <Text as="p" tone="subdued">
-                  Follow this exact sequence to ensure your store updates correctly.
+                  {t("dashboard.howItWorks.intro")}
                 </Text>
                 <Divider />
 
@@ -174,11 +225,10 @@ export default function Dashboard() {
                     </Box>
                     <BlockStack gap="100">
                       <Text as="h3" variant="headingSm">
-                        1. Create & Select Collections
+                        {t("dashboard.howItWorks.collections.title")}
                       </Text>
                       <Text as="p" variant="bodyMd">
-                        You must have created Collections (e.g., "Gold", "Silver") in Shopify.
-                        Select these in the app to filter updates.
+                        {t("dashboard.howItWorks.collections.body")}
                       </Text>
                     </BlockStack>
                   </InlineStack>
@@ -190,13 +240,15 @@ export default function Dashboard() {
                     </Box>
                     <BlockStack gap="100">
                       <Text as="h3" variant="headingSm">
-                        2. Configure Weight Variants (Critical)
+                        {t("dashboard.howItWorks.weight.title")}
                       </Text>
                       <Text as="p" variant="bodyMd">
-                        Every product variant <strong>must have a Weight option</strong> (e.g., "2.5g").
+                        {t("dashboard.howItWorks.weight.bodyStart")}{" "}
+                        <strong>{t("dashboard.howItWorks.weight.bodyRequired")}</strong>{" "}
+                        {t("dashboard.howItWorks.weight.bodyEnd")}
                         <br />
                         <Text as="span" tone="critical">
-                          Products without a weight variant defined will be skipped.
+                          {t("dashboard.howItWorks.weight.skipped")}
                         </Text>
                       </Text>
                     </BlockStack>
@@ -209,10 +261,10 @@ export default function Dashboard() {
                     </Box>
                     <BlockStack gap="100">
                       <Text as="h3" variant="headingSm">
-                        3. Input Today's Rate
+                        {t("dashboard.howItWorks.rate.title")}
                       </Text>
                       <Text as="p" variant="bodyMd">
-                        Enter the current market rate per gram (₹/g) and optional markup.
+                        {t("dashboard.howItWorks.rate.body", { currency: currencySymbol })}
                       </Text>
                     </BlockStack>
                   </InlineStack>
@@ -224,10 +276,10 @@ export default function Dashboard() {
                     </Box>
                     <BlockStack gap="100">
                       <Text as="h3" variant="headingSm">
-                        4. Review & Sync
+                        {t("dashboard.howItWorks.review.title")}
                       </Text>
                       <Text as="p" variant="bodyMd">
-                        Preview calculated prices, then click Update to push changes live.
+                        {t("dashboard.howItWorks.review.body")}
                       </Text>
                     </BlockStack>
                   </InlineStack>
@@ -241,7 +293,7 @@ export default function Dashboard() {
             <Card>
               <BlockStack gap="300">
                 <Text as="h2" variant="headingSm">
-                  App Status
+                  {t("dashboard.status.title")}
                 </Text>
 
                 <InlineStack gap="200" align="start" blockAlign="center">
@@ -249,7 +301,7 @@ export default function Dashboard() {
                     <Icon source={CheckIcon} tone="success" />
                   </div>
                   <Text as="span" variant="bodyMd">
-                    Connected to Shopify
+                    {t("dashboard.status.connected")}
                   </Text>
                 </InlineStack>
 
@@ -258,13 +310,24 @@ export default function Dashboard() {
                     <Icon source={ProductIcon} tone="success" />
                   </div>
                   <Text as="span" variant="bodyMd">
-                    Product Read/Write Active
+                    {t("dashboard.status.productAccess")}
+                  </Text>
+                </InlineStack>
+
+                <InlineStack gap="200" align="start" blockAlign="center">
+                  <div style={{ minWidth: "20px" }}>
+                    <Icon source={RefreshIcon} tone={schedule.enabled ? "success" : "subdued"} />
+                  </div>
+                  <Text as="span" variant="bodyMd">
+                    {schedule.enabled && schedule.nextRunAt
+                      ? t("dashboard.status.nextUpdate", { date: formatDateTime(schedule.nextRunAt) })
+                      : t("dashboard.status.scheduleOff")}
                   </Text>
                 </InlineStack>
 
                 <Divider />
                 <Text as="p" variant="bodyXs" tone="subdued">
-                  System Ready.
+                  {t("dashboard.status.ready")}
                 </Text>
               </BlockStack>
             </Card>
@@ -282,15 +345,15 @@ export default function Dashboard() {
 
                   <BlockStack gap="200" align="center" inlineAlign="center">
                     <Text as="h2" variant="headingMd">
-                      1 min for a feedback
+                      {t("dashboard.feedback.title")}
                     </Text>
                     <Text as="p" alignment="center" tone="subdued">
-                      We are constantly improving based on your needs. <br />
-                      If you have a feature request or found a bug, let us know!
+                      {t("dashboard.feedback.intro")} <br />
+                      {t("dashboard.feedback.prompt")}
                     </Text>
                   </BlockStack>
 
-                  <Button onClick={handleChange}>Give us a feedback</Button>
+                  <Button onClick={handleChange}>{t("dashboard.feedback.open")}</Button>
                 </BlockStack>
               </Card>
             </div>
@@ -301,15 +364,15 @@ export default function Dashboard() {
         <Modal
           open={activeModal}
           onClose={handleChange}
-          title="Share your feedback"
+          title={t("dashboard.feedback.modalTitle")}
           primaryAction={{
-            content: loading ? 'Sending...' : 'Submit Feedback',
+            content: loading ? t("dashboard.feedback.sending") : t("dashboard.feedback.submit"),
             onAction: handleFeedbackSubmit,
             disabled: loading,
           }}
           secondaryActions={[
             {
-              content: 'Cancel',
+              content: t("common.cancel"),
               onAction: handleChange,
               disabled: loading,
             },
@@ -318,15 +381,15 @@ export default function Dashboard() {
           <Modal.Section>
             <FormLayout>
               <TextField
-                label="Name"
+                label={t("dashboard.feedback.name")}
                 value={name}
                 onChange={setName}
                 autoComplete="name"
-                placeholder="Your Name"
+                placeholder={t("dashboard.feedback.namePlaceholder")}
                 requiredIndicator
               />
               <TextField
-                label="Email"
+                label={t("dashboard.feedback.email")}
                 type="email"
                 value={email}
                 onChange={setEmail}
@@ -335,7 +398,7 @@ export default function Dashboard() {
                 requiredIndicator
               />
               <TextField
-                label="Mobile (Optional)"
+                label={t("dashboard.feedback.mobile")}
                 type="tel"
                 value={mobile}
                 onChange={setMobile}
@@ -343,19 +406,19 @@ export default function Dashboard() {
               />
               {/* Auto-detected Store Name */}
               <TextField
-                label="Store Name"
+                label={t("dashboard.feedback.store")}
                 value={shop} // From loader data
                 disabled // Read-only
                 autoComplete="off"
-                helpText="Auto-detected from your session."
+                helpText={t("dashboard.feedback.storeHelp")}
               />
               <TextField
-                label="Your Query / Feedback"
+                label={t("dashboard.feedback.query")}
                 value={query}
                 onChange={setQuery}
                 multiline={4}
                 autoComplete="off"
-                placeholder="Tell us what you think..."
+                placeholder={t("dashboard.feedback.queryPlaceholder")}
                 requiredIndicator
               />
             </FormLayout>
@@ -0,0 +1,335 @@
+// app/routes/app.history.$runId.jsx
+
+import { useLoaderData, useFetcher, useNavigate, Link } from "react-router";
+import { useEffect, useState } from "react";
+import {
+  Page,
+  Banner,
+  Modal,
+  Checkbox,
+  Layout,
+  Card,
+  Text,
+  InlineStack,
+  BlockStack,
+  Badge,
+  IndexTable,
+  ProgressBar,
+} from "@shopify/polaris";
+import shopify from "../shopify.server";
+import {
+  getPriceRun,
+  getStaffUser,
+  buildRevertChanges,
+} from "../utils/price-history.server";
+import {
+  fetchVariantPrices,
+  fetchVariantSnapshot,
+  planPriceUpdate,
+} from "../utils/shopify-price-updater.server";
+import { enqueuePriceJob, getActivePriceJob } from "../utils/price-jobs.server";
+import { createTranslator, useI18n } from "../utils/i18n";
+import { getRequestLocale } from "../utils/i18n.server";
+
+export const meta = () => [{ title: "Price Update Run" }];
+
+const STATUS_TONES = { success: "success", partial: "warning", failed: "critical" };
+const JOB_POLL_INTERVAL_MS = 2000;
+
+export async function loader({ request, params }) {
+  const { admin, session } = await shopify.authenticate.admin(request);
+  const run = await getPriceRun(session.shop, params.runId);
+  if (!run) {
+    throw new Response("Run not found", { status: 404 });
+  }
+
+  // Compare against live prices so we can warn about variants edited since
+  const currentPrices = await fetchVariantPrices(
+    admin,
+    run.changes.filter((c) => c.status === "updated").map((c) => c.variantId),
+  );
+  const { changes, changedSince } = buildRevertChanges(run, currentPrices, {
+    includeChanged: true,
+  });
+
+  return {
+    run,
+    currentPrices: Object.fromEntries(currentPrices),
+    changedSince,
+    revertableCount: changes.length,
+    revertJob: await getActivePriceJob(session.shop, { revertOfId: run.id }),
+  };
+}
+
+// Action: queue a job that restores the prices this run replaced
+export async function action({ request, params }) {
+  const { admin, session, sessionToken } = await shopify.authenticate.admin(request);
+  const formData = await request.formData();
+  if (formData.get("intent") !== "revert") {
+    return { ok: false, error: "Unknown intent" };
+  }
+
+  const run = await getPriceRun(session.shop, params.runId);
+  if (!run) {
+    throw new Response("Run not found", { status: 404 });
+  }
+
+  const snapshot = await fetchVariantSnapshot(
+    admin,
+    run.changes.map((c) => c.variantId),
+  );
+  const { changes } = buildRevertChanges(run, snapshot.prices, {
+    includeChanged: formData.get("includeChanged") === "true",
+  });
+  if (changes.length === 0) {
+    const t = createTranslator(getRequestLocale(request, session));
+    return { ok: false, error: t("history.run.nothingToRevert") };
+  }
+
+  // Reverts restore recorded prices, so locks and fixed prices don't apply
+  const job = await enqueuePriceJob({
+    shop: session.shop,
+    staff: getStaffUser({ session, sessionToken }),
+    source: "revert",
+    revertOfId: run.id,
+    changes,
+    plan: planPriceUpdate(changes, snapshot),
+  });
+
+  return { ok: true, job };
+}
+
+export default function PriceRunDetail() {
+  const { run, currentPrices, changedSince, revertableCount, revertJob } = useLoaderData();
+  const { t, formatMoney, formatDateTime } = useI18n();
+  const fetcher = useFetcher();
+  const jobFetcher = useFetcher();
+  const navigate = useNavigate();
+  const [job, setJob] = useState(revertJob);
+  const jobActive = job?.status === "queued" || job?.status === "running";
+  const isReverting = fetcher.state !== "idle" || jobActive;
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.job) setJob(fetcher.data.job);
+  }, [fetcher.state, fetcher.data]);
+
+  // Poll the revert job, then open the run it recorded
+  const jobId = job?.id;
+  const loadJob = jobFetcher.load;
+  useEffect(() => {
+    if (!jobActive) return;
+    const timer = setInterval(() => loadJob(`/app/update-prices?job=${jobId}`), JOB_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [jobActive, jobId, loadJob]);
+
+  useEffect(() => {
+    const polled = jobFetcher.data?.job;
+    if (!polled) return;
+    setJob(polled);
+    if (polled.priceRunId && !["queued", "running"].includes(polled.status)) {
+      navigate(`/app/history/${polled.priceRunId}`);
+    }
+  }, [jobFetcher.data, navigate]);
+
+  const [revertOpen, setRevertOpen] = useState(false);
+  const [includeChanged, setIncludeChanged] = useState(false);
+
+  const changedSet = new Set(changedSince);
+  const revertCount = includeChanged
+    ? revertableCount
+    : revertableCount - changedSince.length;
+
+  const handleRevert = () => {
+    fetcher.submit(
+      { intent: "revert", includeChanged: String(includeChanged) },
+      { method: "post" }
+    );
+    setRevertOpen(false);
+  };
+
+  const rows = run.changes.map((c, idx) => (
+    <IndexTable.Row key={c.id} id={c.id} position={idx}>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{c.productTitle || c.productId}</Text>
+        <div style={{ color: "#6b7280", fontSize: "13px" }}>
+          {c.variantTitle === "Default Title" ? t("updatePrice.standardVariant") : c.variantTitle}
+        </div>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{c.collectionTitle || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {c.ratePerGram != null ? t("history.changes.perGram", { rate: formatMoney(c.ratePerGram) }) : "—"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {c.percent != null ? `${c.percent > 0 ? "+" : ""}${c.percent}%` : "—"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {c.oldPrice != null ? formatMoney(c.oldPrice) : "—"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{formatMoney(c.newPrice)}</Text>
+        {c.compareAtChanged && (
+          <div style={{ color: "#6b7280", fontSize: "12px" }}>
+            {t("history.changes.compareAt", {
+              from: c.oldCompareAtPrice != null ? formatMoney(c.oldCompareAtPrice) : "—",
+              to: c.newCompareAtPrice != null ? formatMoney(c.newCompareAtPrice) : t("history.changes.cleared"),
+            })}
+          </div>
+        )}
+        {changedSet.has(c.variantId) && (
+          <div>
+            <Badge tone="attention">
+              {t("history.changes.now", { price: formatMoney(currentPrices[c.variantId]) })}
+            </Badge>
+          </div>
+        )}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {c.status === "failed" ? (
+          <BlockStack gap="050">
+            <Badge tone="critical">{t("history.changes.failed")}</Badge>
+            <Text variant="bodySm" tone="critical">{c.error}</Text>
+          </BlockStack>
+        ) : (
+          <Badge tone="success">{t("history.changes.updated")}</Badge>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      title={formatDateTime(run.createdAt)}
+      backAction={{ content: t("history.title"), url: "/app/history" }}
+      titleMetadata={<Badge tone={STATUS_TONES[run.status]}>{t(`history.status.${run.status}`)}</Badge>}
+      primaryAction={{
+        content: t("history.run.revert"),
+        destructive: true,
+        onAction: () => setRevertOpen(true),
+        loading: isReverting,
+        disabled: revertableCount === 0,
+      }}
+    >
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data.error}</Banner>
+          </Layout.Section>
+        )}
+
+        {jobActive && (
+          <Layout.Section>
+            <Banner tone="info" title={t("history.job.reverting")}>
+              <BlockStack gap="200">
+                <Text as="p">
+                  {t("history.job.progress", { processed: job.processed, total: job.total, progress: job.progress })}
+                </Text>
+                <ProgressBar progress={job.progress} size="small" />
+              </BlockStack>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {job?.status === "failed" && (
+          <Layout.Section>
+            <Banner tone="critical">{t("history.job.failed", { error: job.error })}</Banner>
+          </Layout.Section>
+        )}
+
+        {run.revertOfId && (
+          <Layout.Section>
+            <Banner tone="info">
+              {t("history.run.revertOf")}{" "}
+              <Link to={`/app/history/${run.revertOfId}`}>{t("history.run.viewEarlier")}</Link>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {run.reverts.length > 0 && (
+          <Layout.Section>
+            <Banner tone="warning">
+              {t("history.run.revertedOn", { time: formatDateTime(run.reverts[0].createdAt) })}{" "}
+              <Link to={`/app/history/${run.reverts[0].id}`}>{t("history.run.viewRevert")}</Link>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <InlineStack gap="800">
+              <BlockStack gap="050">
+                <Text tone="subdued" variant="bodySm">{t("history.run.runBy")}</Text>
+                <Text as="p">{run.staffName || run.staffUserId || t("history.run.unknownStaff")}</Text>
+              </BlockStack>
+              <BlockStack gap="050">
+                <Text tone="subdued" variant="bodySm">{t("history.run.source")}</Text>
+                <Text as="p">{t(`history.sources.${run.source}`)}</Text>
+              </BlockStack>
+              <BlockStack gap="050">
+                <Text tone="subdued" variant="bodySm">{t("history.run.updated")}</Text>
+                <Text as="p">{t("history.run.variantCount", { count: run.updated })}</Text>
+              </BlockStack>
+              <BlockStack gap="050">
+                <Text tone="subdued" variant="bodySm">{t("history.run.failed")}</Text>
+                <Text as="p">{t("history.run.variantCount", { count: run.failed })}</Text>
+              </BlockStack>
+            </InlineStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: t("history.changes.singular"), plural: t("history.changes.plural") }}
+              itemCount={run.changes.length}
+              headings={[
+                { title: t("history.changes.product") },
+                { title: t("history.changes.collection") },
+                { title: t("history.changes.rate") },
+                { title: t("history.changes.markup") },
+                { title: t("history.changes.oldPrice") },
+                { title: t("history.changes.newPrice") },
+                { title: t("history.changes.status") },
+              ]}
+              selectable={false}
+            >
+              {rows}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+      </Layout>
+
+      <Modal
+        open={revertOpen}
+        onClose={() => setRevertOpen(false)}
+        title={t("history.revertModal.title")}
+        primaryAction={{
+          content: t("history.revertModal.confirm", { count: revertCount }),
+          destructive: true,
+          onAction: handleRevert,
+          disabled: revertCount === 0,
+        }}
+        secondaryActions={[{ content: t("common.cancel"), onAction: () => setRevertOpen(false) }]}
+      >
+        <Modal.Section>
+          <BlockStack gap="300">
+            <Text as="p">{t("history.revertModal.intro")}</Text>
+            {changedSince.length > 0 && (
+              <Banner tone="warning">
+                <BlockStack gap="200">
+                  <Text as="p">
+                    {t("history.revertModal.changedSince", { count: changedSince.length })}
+                  </Text>
+                  <Checkbox
+                    label={t("history.revertModal.includeChanged")}
+                    checked={includeChanged}
+                    onChange={setIncludeChanged}
+                  />
+                </BlockStack>
+              </Banner>
+            )}
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
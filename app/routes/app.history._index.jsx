@@ -0,0 +1,162 @@
+// app/routes/app.history._index.jsx
+
+import { useLoaderData, useNavigate, useSearchParams } from "react-router";
+import { useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  TextField,
+  Select,
+  InlineStack,
+  BlockStack,
+  Badge,
+  IndexTable,
+} from "@shopify/polaris";
+import shopify from "../shopify.server";
+import {
+  listPriceRuns,
+  listHistoryCollections,
+} from "../utils/price-history.server";
+import { useI18n } from "../utils/i18n";
+
+export const meta = () => [{ title: "Price History" }];
+
+const STATUS_TONES = { success: "success", partial: "warning", failed: "critical" };
+
+// Loader: runs for this shop, filtered by the URL search params
+export async function loader({ request }) {
+  const { session } = await shopify.authenticate.admin(request);
+  const url = new URL(request.url);
+  const filters = {
+    from: url.searchParams.get("from") || "",
+    to: url.searchParams.get("to") || "",
+    collectionId: url.searchParams.get("collectionId") || "",
+    product: url.searchParams.get("product") || "",
+  };
+
+  const [runs, collections] = await Promise.all([
+    listPriceRuns(session.shop, filters),
+    listHistoryCollections(session.shop),
+  ]);
+
+  return { runs, collections, filters };
+}
+
+export default function PriceHistory() {
+  const { runs, collections, filters } = useLoaderData();
+  const { t, formatDateTime } = useI18n();
+  const navigate = useNavigate();
+  const [, setSearchParams] = useSearchParams();
+
+  const [from, setFrom] = useState(filters.from);
+  const [to, setTo] = useState(filters.to);
+  const [collectionId, setCollectionId] = useState(filters.collectionId);
+  const [product, setProduct] = useState(filters.product);
+
+  const applyFilters = () => {
+    const params = {};
+    if (from) params.from = from;
+    if (to) params.to = to;
+    if (collectionId) params.collectionId = collectionId;
+    if (product.trim()) params.product = product.trim();
+    setSearchParams(params);
+  };
+
+  const clearFilters = () => {
+    setFrom("");
+    setTo("");
+    setCollectionId("");
+    setProduct("");
+    setSearchParams({});
+  };
+
+  const collectionOptions = [
+    { label: t("history.filters.allCollections"), value: "" },
+    ...collections.map((c) => ({ label: c.title, value: c.id })),
+  ];
+
+  const rows = runs.map((run, idx) => (
+    <IndexTable.Row
+      key={run.id}
+      id={run.id}
+      position={idx}
+      onClick={() => navigate(`/app/history/${run.id}`)}
+    >
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">
+          {formatDateTime(run.createdAt)}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{run.staffName || run.staffUserId || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>{t(`history.sources.${run.source}`)}</IndexTable.Cell>
+      <IndexTable.Cell>{run.collections.join(", ") || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>{run.updated}</IndexTable.Cell>
+      <IndexTable.Cell>{run.failed}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={STATUS_TONES[run.status]}>{t(`history.status.${run.status}`)}</Badge>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page title={t("history.title")} subtitle={t("history.subtitle")}>
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack gap="300" blockAlign="end" wrap>
+                <TextField label={t("history.filters.from")} type="date" value={from} onChange={setFrom} autoComplete="off" />
+                <TextField label={t("history.filters.to")} type="date" value={to} onChange={setTo} autoComplete="off" />
+                <Select
+                  label={t("history.filters.collection")}
+                  options={collectionOptions}
+                  value={collectionId}
+                  onChange={setCollectionId}
+                />
+                <TextField
+                  label={t("history.filters.product")}
+                  value={product}
+                  onChange={setProduct}
+                  autoComplete="off"
+                  placeholder={t("history.filters.productPlaceholder")}
+                />
+                <Button variant="primary" onClick={applyFilters}>{t("history.filters.apply")}</Button>
+                <Button variant="plain" onClick={clearFilters}>{t("history.filters.clear")}</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            {runs.length > 0 ? (
+              <IndexTable
+                resourceName={{ singular: t("history.table.singular"), plural: t("history.table.plural") }}
+                itemCount={runs.length}
+                headings={[
+                  { title: t("history.table.date") },
+                  { title: t("history.table.staff") },
+                  { title: t("history.table.source") },
+                  { title: t("history.table.collections") },
+                  { title: t("history.table.updated") },
+                  { title: t("history.table.failed") },
+                  { title: t("history.table.status") },
+                ]}
+                selectable={false}
+              >
+                {rows}
+              </IndexTable>
+            ) : (
+              <div style={{ padding: "32px", textAlign: "center" }}>
+                <Text tone="subdued">{t("history.table.empty")}</Text>
+              </div>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -5,28 +5,40 @@ import { boundary } from "@shopify/shopify-app-react-router/server";
 import { AppProvider as ShopifyAppProvider } from "@shopify/shopify-app-react-router/react";
 
 import { AppProvider as PolarisAppProvider } from "@shopify/polaris";
-import polarisTranslations from "@shopify/polaris/locales/en.json";
 import "@shopify/polaris/build/esm/styles.css";
 
 import { authenticate } from "../shopify.server";
+import { useI18n } from "../utils/i18n";
+import {
+  getPolarisTranslations,
+  getRequestLocale,
+  getShopCurrency,
+} from "../utils/i18n.server";
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
+  const locale = getRequestLocale(request, session);
 
   return {
     apiKey: process.env.SHOPIFY_API_KEY || "",
+    locale,
+    currencyCode: await getShopCurrency(admin),
+    polarisTranslations: getPolarisTranslations(locale),
   };
 };
 
 export default function App() {
-  const { apiKey } = useLoaderData();
+  const { apiKey, polarisTranslations } = useLoaderData();
+  const { t } = useI18n();
 
   return (
     <ShopifyAppProvider embedded apiKey={apiKey}>
       <PolarisAppProvider i18n={polarisTranslations}>
         <s-app-nav>
-          <s-link href="/app">Home</s-link>
-          <s-link href="/app/update-price">Update Price</s-link>
+          <s-link href="/app">{t("nav.home")}</s-link>
+          <s-link href="/app/update-price">{t("nav.updatePrice")}</s-link>
+          <s-link href="/app/history">{t("nav.history")}</s-link>
+          <s-link href="/app/settings">{t("nav.settings")}</s-link>
         </s-app-nav>
 
         <Outlet />
@@ -0,0 +1,894 @@
+// app/routes/app.settings.jsx
+
+import { useLoaderData, useFetcher, Link } from "react-router";
+import { useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  Checkbox,
+  Select,
+  TextField,
+  FormLayout,
+  Banner,
+  BlockStack,
+  InlineStack,
+  Badge,
+  IndexTable,
+  Toast,
+  Frame,
+} from "@shopify/polaris";
+import shopify from "../shopify.server";
+import {
+  getPricingSchedule,
+  savePricingSchedule,
+  listScheduledRuns,
+} from "../utils/pricing-scheduler.server";
+import { getShopSettings, saveShopSettings } from "../utils/shop-settings.server";
+import { refreshMetalRates } from "../utils/metal-rates.server";
+import { checkRateProviderUrl, getRateProvider } from "../utils/rate-providers.server";
+import { getStoneRates, saveStoneRates } from "../utils/stone-rates.server";
+import { getExchangeRates, saveExchangeRates } from "../utils/exchange-rates.server";
+import { WEIGHT_SOURCES } from "../utils/jewelry-pricing";
+import { createTranslator, useI18n } from "../utils/i18n";
+import { getRequestLocale } from "../utils/i18n.server";
+
+export const meta = () => [{ title: "Settings" }];
+
+const STATUS_TONES = { success: "success", partial: "warning", failed: "critical", running: "info" };
+
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, h) => ({
+  label: `${String(h).padStart(2, "0")}:00 UTC`,
+  value: String(h),
+}));
+
+export async function loader({ request }) {
+  const { session } = await shopify.authenticate.admin(request);
+  const [schedule, scheduledRuns, settings, stoneRates, exchangeRates] = await Promise.all([
+    getPricingSchedule(session.shop),
+    listScheduledRuns(session.shop),
+    getShopSettings(session.shop),
+    getStoneRates(session.shop),
+    getExchangeRates(session.shop),
+  ]);
+  // The provider's API key never goes back to the browser
+  const { rateProviderApiKey, ...publicSettings } = settings;
+  return {
+    schedule,
+    scheduledRuns,
+    settings: { ...publicSettings, hasApiKey: Boolean(rateProviderApiKey) },
+    stoneRates,
+    exchangeRates,
+  };
+}
+
+// An empty API key field keeps the saved key, but only for the same
+// endpoint, so it is never sent to a host it wasn't entered for
+function readRateProviderForm(formData, settings) {
+  const url = formData.get("rateProviderUrl") || null;
+  const keepKey = url !== null && url === settings.rateProviderUrl;
+  return {
+    rateProvider: formData.get("rateProvider") === "http" ? "http" : "manual",
+    rateProviderUrl: url,
+    rateProviderApiKey: formData.get("rateProviderApiKey") || (keepKey ? settings.rateProviderApiKey : null),
+    rateProviderGoldPath: formData.get("rateProviderGoldPath") || "",
+    rateProviderSilverPath: formData.get("rateProviderSilverPath") || "",
+    rateProviderPlatinumPath: formData.get("rateProviderPlatinumPath") || "",
+  };
+}
+
+function readTaxForm(formData) {
+  return {
+    taxInclusive: formData.get("taxInclusive") === "true",
+    taxMetalPercent: Number(formData.get("taxMetalPercent")),
+    taxMakingPercent: Number(formData.get("taxMakingPercent")),
+    taxStonePercent: Number(formData.get("taxStonePercent")),
+  };
+}
+
+// Empty means "no limit"
+function readLimit(formData, name) {
+  const value = formData.get(name);
+  return value === null || value === "" ? null : Number(value);
+}
+
+function readGuardrailsForm(formData) {
+  return {
+    maxPriceChangePercent: readLimit(formData, "maxPriceChangePercent"),
+    maxRateChangePercent: readLimit(formData, "maxRateChangePercent"),
+  };
+}
+
+function readWeightSourceForm(formData) {
+  const order = formData
+    .getAll("weightSource")
+    .filter((source, idx, all) => WEIGHT_SOURCES.includes(source) && all.indexOf(source) === idx);
+  return {
+    weightSources: order.join(","),
+    weightOptionNames: String(formData.get("weightOptionNames") || "").trim(),
+    weightMetafield: String(formData.get("weightMetafield") || "").trim(),
+  };
+}
+
+// Key of the settings.weight.errors message, or null
+function validateWeightSource(weight) {
+  const order = weight.weightSources.split(",").filter(Boolean);
+  if (order.length === 0) return "noSource";
+  if (order.includes("option") && !weight.weightOptionNames) return "noOptionNames";
+  if (order.includes("metafield") && !/^[\w-]+\.[\w-]+$/.test(weight.weightMetafield)) {
+    return "badMetafield";
+  }
+  return null;
+}
+
+function validateRateProvider(provider, t) {
+  if (provider.rateProvider !== "http") return null;
+  const error = checkRateProviderUrl(provider.rateProviderUrl);
+  return error && t(`settings.provider.errors.${error}`);
+}
+
+export async function action({ request }) {
+  const { session } = await shopify.authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const t = createTranslator(getRequestLocale(request, session));
+
+  if (intent === "save-schedule") {
+    const schedule = await savePricingSchedule(session.shop, {
+      enabled: formData.get("enabled") === "true",
+      frequency: formData.get("frequency"),
+      hour: formData.get("hour"),
+    });
+    return { ok: true, schedule };
+  }
+
+  if (intent === "save-rate-provider") {
+    const provider = readRateProviderForm(formData, await getShopSettings(session.shop));
+    const error = validateRateProvider(provider, t);
+    if (error) return { ok: false, error };
+
+    await saveShopSettings(session.shop, provider);
+    const { error: fetchError } = await refreshMetalRates(session.shop);
+    return {
+      ok: true,
+      message: fetchError
+        ? t("settings.provider.savedFetchFailed", { error: fetchError })
+        : t("settings.provider.saved"),
+    };
+  }
+
+  if (intent === "save-tax") {
+    const tax = readTaxForm(formData);
+    if (![tax.taxMetalPercent, tax.taxMakingPercent, tax.taxStonePercent].every((v) => v >= 0)) {
+      return { ok: false, error: t("settings.tax.invalid") };
+    }
+    await saveShopSettings(session.shop, tax);
+    return { ok: true, message: t("settings.tax.saved") };
+  }
+
+  if (intent === "save-guardrails") {
+    const guardrails = readGuardrailsForm(formData);
+    if (Object.values(guardrails).some((v) => v !== null && !(v > 0))) {
+      return { ok: false, error: t("settings.guardrails.invalid") };
+    }
+    await saveShopSettings(session.shop, guardrails);
+    return { ok: true, message: t("settings.guardrails.saved") };
+  }
+
+  if (intent === "save-weight-source") {
+    const weight = readWeightSourceForm(formData);
+    const error = validateWeightSource(weight);
+    if (error) return { ok: false, error: t(`settings.weight.errors.${error}`) };
+    await saveShopSettings(session.shop, weight);
+    return { ok: true, message: t("settings.weight.saved") };
+  }
+
+  if (intent === "save-exchange-rates") {
+    let rates;
+    try {
+      rates = JSON.parse(formData.get("rates") || "{}");
+    } catch {
+      return { ok: false, error: t("settings.fx.invalid") };
+    }
+    const invalid = Object.entries(rates).find(
+      ([currency, rate]) => !/^[A-Z]{3}$/.test(currency) || !(Number(rate) > 0)
+    );
+    if (invalid) {
+      return { ok: false, error: t("settings.fx.invalidRow", { currency: invalid[0] }) };
+    }
+    const saved = await saveExchangeRates(session.shop, rates);
+    return { ok: true, message: t("settings.fx.saved"), exchangeRates: saved };
+  }
+
+  if (intent === "save-stone-rates") {
+    let rates;
+    try {
+      rates = JSON.parse(formData.get("rates") || "[]");
+    } catch {
+      return { ok: false, error: t("settings.stones.invalid") };
+    }
+    if (!Array.isArray(rates) || rates.some((r) => r.stoneType && !(Number(r.ratePerCarat) >= 0))) {
+      return { ok: false, error: t("settings.stones.negative") };
+    }
+    const saved = await saveStoneRates(session.shop, rates);
+    return { ok: true, message: t("settings.stones.saved"), stoneRates: saved };
+  }
+
+  // Fetch from the entered provider without saving anything
+  if (intent === "test-rate-provider") {
+    const provider = readRateProviderForm(formData, await getShopSettings(session.shop));
+    const error = validateRateProvider(provider, t);
+    if (error) return { ok: false, intent, error };
+
+    try {
+      const rates = await getRateProvider(provider).fetchRates();
+      return { ok: true, intent, rates };
+    } catch (err) {
+      return { ok: false, intent, error: String(err?.message || err) };
+    }
+  }
+
+  return { ok: false, error: `Unknown intent: ${intent}` };
+}
+
+export default function Settings() {
+  const {
+    schedule,
+    scheduledRuns,
+    settings,
+    stoneRates: savedStoneRates,
+    exchangeRates: savedExchangeRates,
+  } = useLoaderData();
+  const { t, currency, currencySymbol, formatMoney, formatDateTime } = useI18n();
+  const scheduleFetcher = useFetcher();
+  const isSaving = scheduleFetcher.state !== "idle";
+  const providerFetcher = useFetcher();
+  const testFetcher = useFetcher();
+  const taxFetcher = useFetcher();
+  const guardrailsFetcher = useFetcher();
+  const stoneFetcher = useFetcher();
+  const weightFetcher = useFetcher();
+  const fxFetcher = useFetcher();
+
+  const [enabled, setEnabled] = useState(schedule.enabled);
+  const [frequency, setFrequency] = useState(schedule.frequency);
+  const [hour, setHour] = useState(String(schedule.hour));
+  const [toast, setToast] = useState(null);
+
+  const [provider, setProvider] = useState({
+    rateProvider: settings.rateProvider,
+    rateProviderUrl: settings.rateProviderUrl ?? "",
+    rateProviderApiKey: "",
+    rateProviderGoldPath: settings.rateProviderGoldPath,
+    rateProviderSilverPath: settings.rateProviderSilverPath,
+    rateProviderPlatinumPath: settings.rateProviderPlatinumPath,
+  });
+  const setProviderField = (field) => (value) =>
+    setProvider((prev) => ({ ...prev, [field]: value }));
+  const isHttpProvider = provider.rateProvider === "http";
+
+  const [tax, setTax] = useState({
+    taxInclusive: settings.taxInclusive ? "true" : "false",
+    taxMetalPercent: String(settings.taxMetalPercent),
+    taxMakingPercent: String(settings.taxMakingPercent),
+    taxStonePercent: String(settings.taxStonePercent),
+  });
+  const setTaxField = (field) => (value) => setTax((prev) => ({ ...prev, [field]: value }));
+
+  const [guardrails, setGuardrails] = useState({
+    maxPriceChangePercent: String(settings.maxPriceChangePercent ?? ""),
+    maxRateChangePercent: String(settings.maxRateChangePercent ?? ""),
+  });
+  const setGuardrailField = (field) => (value) =>
+    setGuardrails((prev) => ({ ...prev, [field]: value }));
+
+  const savedWeightOrder = settings.weightSources.split(",");
+  const [weightOrder, setWeightOrder] = useState([0, 1, 2].map((i) => savedWeightOrder[i] ?? ""));
+  const [weightOptionNames, setWeightOptionNames] = useState(settings.weightOptionNames);
+  const [weightMetafield, setWeightMetafield] = useState(settings.weightMetafield);
+  const setWeightOrderAt = (idx) => (value) =>
+    setWeightOrder((prev) => prev.map((source, i) => (i === idx ? value : source)));
+
+  const toFxRows = (rates) =>
+    Object.entries(rates).map(([currency, rate]) => ({ currency, rate: String(rate) }));
+  const [fxRows, setFxRows] = useState(() => toFxRows(savedExchangeRates));
+  const setFxField = (idx, field) => (value) =>
+    setFxRows((prev) => prev.map((row, i) => (i === idx ? { ...row, [field]: value } : row)));
+
+  const toStoneRows = (rates) =>
+    rates.map((r) => ({ stoneType: r.stoneType, quality: r.quality, ratePerCarat: String(r.ratePerCarat) }));
+  const [stoneRows, setStoneRows] = useState(() => toStoneRows(savedStoneRates));
+  const setStoneField = (idx, field) => (value) =>
+    setStoneRows((prev) => prev.map((row, i) => (i === idx ? { ...row, [field]: value } : row)));
+
+  useEffect(() => {
+    if (scheduleFetcher.state === "idle" && scheduleFetcher.data) {
+      setToast(
+        scheduleFetcher.data.ok
+          ? { error: false, message: t("settings.schedule.saved") }
+          : { error: true, message: scheduleFetcher.data.error }
+      );
+    }
+  }, [scheduleFetcher.state, scheduleFetcher.data, t]);
+
+  useEffect(() => {
+    if (providerFetcher.state === "idle" && providerFetcher.data) {
+      setToast(
+        providerFetcher.data.ok
+          ? { error: false, message: providerFetcher.data.message }
+          : { error: true, message: providerFetcher.data.error }
+      );
+    }
+  }, [providerFetcher.state, providerFetcher.data]);
+
+  useEffect(() => {
+    if (taxFetcher.state === "idle" && taxFetcher.data) {
+      setToast(
+        taxFetcher.data.ok
+          ? { error: false, message: taxFetcher.data.message }
+          : { error: true, message: taxFetcher.data.error }
+      );
+    }
+  }, [taxFetcher.state, taxFetcher.data]);
+
+  useEffect(() => {
+    if (guardrailsFetcher.state === "idle" && guardrailsFetcher.data) {
+      setToast(
+        guardrailsFetcher.data.ok
+          ? { error: false, message: guardrailsFetcher.data.message }
+          : { error: true, message: guardrailsFetcher.data.error }
+      );
+    }
+  }, [guardrailsFetcher.state, guardrailsFetcher.data]);
+
+  useEffect(() => {
+    if (weightFetcher.state === "idle" && weightFetcher.data) {
+      setToast(
+        weightFetcher.data.ok
+          ? { error: false, message: weightFetcher.data.message }
+          : { error: true, message: weightFetcher.data.error }
+      );
+    }
+  }, [weightFetcher.state, weightFetcher.data]);
+
+  useEffect(() => {
+    if (fxFetcher.state !== "idle" || !fxFetcher.data) return;
+    const { ok, message, error, exchangeRates } = fxFetcher.data;
+    if (exchangeRates) setFxRows(toFxRows(exchangeRates));
+    setToast(ok ? { error: false, message } : { error: true, message: error });
+  }, [fxFetcher.state, fxFetcher.data]);
+
+  useEffect(() => {
+    if (stoneFetcher.state !== "idle" || !stoneFetcher.data) return;
+    const { ok, message, error, stoneRates } = stoneFetcher.data;
+    if (stoneRates) setStoneRows(toStoneRows(stoneRates));
+    setToast(ok ? { error: false, message } : { error: true, message: error });
+  }, [stoneFetcher.state, stoneFetcher.data]);
+
+  const handleSaveSchedule = () => {
+    scheduleFetcher.submit(
+      { intent: "save-schedule", enabled: String(enabled), frequency, hour },
+      { method: "post" }
+    );
+  };
+
+  const handleSaveProvider = () => {
+    providerFetcher.submit({ intent: "save-rate-provider", ...provider }, { method: "post" });
+  };
+
+  const handleTestProvider = () => {
+    testFetcher.submit({ intent: "test-rate-provider", ...provider }, { method: "post" });
+  };
+
+  const handleSaveTax = () => {
+    taxFetcher.submit({ intent: "save-tax", ...tax }, { method: "post" });
+  };
+
+  const handleSaveGuardrails = () => {
+    guardrailsFetcher.submit({ intent: "save-guardrails", ...guardrails }, { method: "post" });
+  };
+
+  const handleSaveWeightSource = () => {
+    const formData = new FormData();
+    formData.append("intent", "save-weight-source");
+    weightOrder.filter(Boolean).forEach((source) => formData.append("weightSource", source));
+    formData.append("weightOptionNames", weightOptionNames);
+    formData.append("weightMetafield", weightMetafield);
+    weightFetcher.submit(formData, { method: "post" });
+  };
+
+  const handleSaveExchangeRates = () => {
+    const rates = Object.fromEntries(
+      fxRows
+        .filter((r) => r.currency.trim())
+        .map((r) => [r.currency.trim().toUpperCase(), Number(r.rate)])
+    );
+    fxFetcher.submit(
+      { intent: "save-exchange-rates", rates: JSON.stringify(rates) },
+      { method: "post" }
+    );
+  };
+
+  const handleSaveStoneRates = () => {
+    const rates = stoneRows
+      .filter((r) => r.stoneType.trim())
+      .map((r) => ({ ...r, ratePerCarat: Number(r.ratePerCarat) }));
+    stoneFetcher.submit(
+      { intent: "save-stone-rates", rates: JSON.stringify(rates) },
+      { method: "post" }
+    );
+  };
+
+  const weightSourceOptions = ["option", "metafield", "inventory"].map((value) => ({
+    label: t(`settings.weight.sources.${value}`),
+    value,
+  }));
+
+  const runRows = scheduledRuns.map((run, idx) => (
+    <IndexTable.Row key={run.id} id={run.id} position={idx}>
+      <IndexTable.Cell>{formatDateTime(run.startedAt)}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={STATUS_TONES[run.status]}>{t(`history.status.${run.status}`)}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{run.updated}</IndexTable.Cell>
+      <IndexTable.Cell>{run.failed}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {run.priceRunId ? (
+          <Link to={`/app/history/${run.priceRunId}`}>{t("settings.runs.viewChanges")}</Link>
+        ) : (
+          <Text tone="subdued" as="span">{run.message || "—"}</Text>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Frame>
+      <Page title={t("settings.title")}>
+        <Layout>
+          <Layout.AnnotatedSection
+            title={t("settings.schedule.title")}
+            description={t("settings.schedule.description")}
+          >
+            <Card>
+              <BlockStack gap="400">
+                <FormLayout>
+                  <Checkbox
+                    label={t("settings.schedule.enable")}
+                    checked={enabled}
+                    onChange={setEnabled}
+                  />
+                  <FormLayout.Group>
+                    <Select
+                      label={t("settings.schedule.frequency")}
+                      options={[
+                        { label: t("settings.schedule.hourly"), value: "hourly" },
+                        { label: t("settings.schedule.daily"), value: "daily" },
+                      ]}
+                      value={frequency}
+                      onChange={setFrequency}
+                      disabled={!enabled}
+                    />
+                    <Select
+                      label={t("settings.schedule.hour")}
+                      options={HOUR_OPTIONS}
+                      value={hour}
+                      onChange={setHour}
+                      disabled={!enabled || frequency !== "daily"}
+                    />
+                  </FormLayout.Group>
+                </FormLayout>
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text tone="subdued" variant="bodySm">
+                    {schedule.enabled && schedule.nextRunAt
+                      ? t("settings.schedule.nextRun", { time: formatDateTime(schedule.nextRunAt) })
+                      : t("settings.schedule.off")}
+                  </Text>
+                  <Button variant="primary" onClick={handleSaveSchedule} loading={isSaving}>
+                    {t("common.save")}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t("settings.provider.title")}
+            description={t("settings.provider.description")}
+          >
+            <Card>
+              <BlockStack gap="400">
+                <FormLayout>
+                  <Select
+                    label={t("settings.provider.label")}
+                    options={[
+                      { label: t("settings.provider.manual"), value: "manual" },
+                      { label: t("settings.provider.http"), value: "http" },
+                    ]}
+                    value={provider.rateProvider}
+                    onChange={setProviderField("rateProvider")}
+                  />
+                  {isHttpProvider && (
+                    <>
+                      <TextField
+                        label={t("settings.provider.url")}
+                        value={provider.rateProviderUrl}
+                        onChange={setProviderField("rateProviderUrl")}
+                        autoComplete="off"
+                        placeholder="https://rates.example.com/today.json"
+                        helpText={t("settings.provider.urlHelp")}
+                      />
+                      <TextField
+                        label={t("settings.provider.apiKey")}
+                        type="password"
+                        value={provider.rateProviderApiKey}
+                        onChange={setProviderField("rateProviderApiKey")}
+                        autoComplete="new-password"
+                        placeholder={settings.hasApiKey ? "••••••••" : undefined}
+                        helpText={t(settings.hasApiKey ? "settings.provider.apiKeySavedHelp" : "settings.provider.apiKeyHelp")}
+                      />
+                      <FormLayout.Group>
+                        <TextField
+                          label={t("settings.provider.goldField")}
+                          value={provider.rateProviderGoldPath}
+                          onChange={setProviderField("rateProviderGoldPath")}
+                          autoComplete="off"
+                          placeholder="data.gold.perGram"
+                        />
+                        <TextField
+                          label={t("settings.provider.silverField")}
+                          value={provider.rateProviderSilverPath}
+                          onChange={setProviderField("rateProviderSilverPath")}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label={t("settings.provider.platinumField")}
+                          value={provider.rateProviderPlatinumPath}
+                          onChange={setProviderField("rateProviderPlatinumPath")}
+                          autoComplete="off"
+                        />
+                      </FormLayout.Group>
+                    </>
+                  )}
+                </FormLayout>
+
+                {testFetcher.state === "idle" && testFetcher.data && (
+                  testFetcher.data.ok ? (
+                    <Banner tone="success" title={t("settings.provider.testOk")}>
+                      {Object.entries(testFetcher.data.rates)
+                        .map(([metal, rate]) =>
+                          t("settings.provider.ratePerGram", { metal: t(`settings.metals.${metal}`), rate: formatMoney(rate) })
+                        )
+                        .join(" · ")}
+                    </Banner>
+                  ) : (
+                    <Banner tone="critical" title={t("settings.provider.testFailed")}>
+                      {testFetcher.data.error}
+                    </Banner>
+                  )
+                )}
+
+                <InlineStack align="end" gap="200">
+                  {isHttpProvider && (
+                    <Button onClick={handleTestProvider} loading={testFetcher.state !== "idle"}>
+                      {t("settings.provider.test")}
+                    </Button>
+                  )}
+                  <Button
+                    variant="primary"
+                    onClick={handleSaveProvider}
+                    loading={providerFetcher.state !== "idle"}
+                  >
+                    {t("common.save")}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t("settings.fx.title")}
+            description={t("settings.fx.description", { currency })}
+          >
+            <Card>
+              <BlockStack gap="400">
+                {fxRows.length === 0 && (
+                  <Text tone="subdued">{t("settings.fx.empty", { currency })}</Text>
+                )}
+                {fxRows.map((row, idx) => (
+                  <InlineStack key={idx} gap="200" blockAlign="end" wrap={false}>
+                    <TextField
+                      label={t("settings.fx.currency")}
+                      labelHidden={idx > 0}
+                      value={row.currency}
+                      onChange={setFxField(idx, "currency")}
+                      autoComplete="off"
+                      placeholder="USD"
+                      maxLength={3}
+                    />
+                    <TextField
+                      label={t("settings.fx.value", { currency })}
+                      labelHidden={idx > 0}
+                      type="number"
+                      value={row.rate}
+                      onChange={setFxField(idx, "rate")}
+                      autoComplete="off"
+                      prefix={currencySymbol}
+                    />
+                    <Button
+                      variant="tertiary"
+                      tone="critical"
+                      onClick={() => setFxRows((prev) => prev.filter((_, i) => i !== idx))}
+                    >
+                      {t("settings.remove")}
+                    </Button>
+                  </InlineStack>
+                ))}
+                <InlineStack align="space-between">
+                  <Button onClick={() => setFxRows((prev) => [...prev, { currency: "", rate: "" }])}>
+                    {t("settings.fx.add")}
+                  </Button>
+                  <Button
+                    variant="primary"
+                    onClick={handleSaveExchangeRates}
+                    loading={fxFetcher.state !== "idle"}
+                  >
+                    {t("common.save")}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t("settings.tax.title")}
+            description={t("settings.tax.description")}
+          >
+            <Card>
+              <BlockStack gap="400">
+                <FormLayout>
+                  <Select
+                    label={t("settings.tax.listed")}
+                    options={[
+                      { label: t("settings.tax.exclusive"), value: "false" },
+                      { label: t("settings.tax.inclusive"), value: "true" },
+                    ]}
+                    value={tax.taxInclusive}
+                    onChange={setTaxField("taxInclusive")}
+                  />
+                  <FormLayout.Group>
+                    <TextField
+                      label={t("settings.tax.metal")}
+                      type="number"
+                      value={tax.taxMetalPercent}
+                      onChange={setTaxField("taxMetalPercent")}
+                      autoComplete="off"
+                      suffix="%"
+                    />
+                    <TextField
+                      label={t("settings.tax.making")}
+                      type="number"
+                      value={tax.taxMakingPercent}
+                      onChange={setTaxField("taxMakingPercent")}
+                      autoComplete="off"
+                      suffix="%"
+                    />
+                    <TextField
+                      label={t("settings.tax.stone")}
+                      type="number"
+                      value={tax.taxStonePercent}
+                      onChange={setTaxField("taxStonePercent")}
+                      autoComplete="off"
+                      suffix="%"
+                    />
+                  </FormLayout.Group>
+                </FormLayout>
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    onClick={handleSaveTax}
+                    loading={taxFetcher.state !== "idle"}
+                  >
+                    {t("common.save")}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t("settings.guardrails.title")}
+            description={t("settings.guardrails.description")}
+          >
+            <Card>
+              <BlockStack gap="400">
+                <FormLayout>
+                  <FormLayout.Group>
+                    <TextField
+                      label={t("settings.guardrails.maxPriceChange")}
+                      type="number"
+                      value={guardrails.maxPriceChangePercent}
+                      onChange={setGuardrailField("maxPriceChangePercent")}
+                      autoComplete="off"
+                      suffix="%"
+                      helpText={t("settings.guardrails.maxPriceChangeHelp")}
+                    />
+                    <TextField
+                      label={t("settings.guardrails.maxRateChange")}
+                      type="number"
+                      value={guardrails.maxRateChangePercent}
+                      onChange={setGuardrailField("maxRateChangePercent")}
+                      autoComplete="off"
+                      suffix="%"
+                      helpText={t("settings.guardrails.maxRateChangeHelp")}
+                    />
+                  </FormLayout.Group>
+                </FormLayout>
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    onClick={handleSaveGuardrails}
+                    loading={guardrailsFetcher.state !== "idle"}
+                  >
+                    {t("common.save")}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t("settings.weight.title")}
+            description={t("settings.weight.description")}
+          >
+            <Card>
+              <BlockStack gap="400">
+                <FormLayout>
+                  <FormLayout.Group>
+                    {["first", "then", "finally"].map((step, idx) => (
+                      <Select
+                        key={step}
+                        label={t(`settings.weight.${step}`)}
+                        options={[
+                          ...(idx > 0 ? [{ label: "—", value: "" }] : []),
+                          ...weightSourceOptions,
+                        ]}
+                        value={weightOrder[idx]}
+                        onChange={setWeightOrderAt(idx)}
+                      />
+                    ))}
+                  </FormLayout.Group>
+                  <TextField
+                    label={t("settings.weight.optionNames")}
+                    value={weightOptionNames}
+                    onChange={setWeightOptionNames}
+                    autoComplete="off"
+                    disabled={!weightOrder.includes("option")}
+                    helpText={t("settings.weight.optionNamesHelp")}
+                  />
+                  <TextField
+                    label={t("settings.weight.metafield")}
+                    value={weightMetafield}
+                    onChange={setWeightMetafield}
+                    autoComplete="off"
+                    disabled={!weightOrder.includes("metafield")}
+                    placeholder="custom.net_weight"
+                    helpText={t("settings.weight.metafieldHelp")}
+                  />
+                </FormLayout>
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    onClick={handleSaveWeightSource}
+                    loading={weightFetcher.state !== "idle"}
+                  >
+                    {t("common.save")}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title={t("settings.stones.title")}
+            description={t("settings.stones.description")}
+          >
+            <Card>
+              <BlockStack gap="400">
+                {stoneRows.length === 0 && (
+                  <Text tone="subdued">{t("settings.stones.empty")}</Text>
+                )}
+                {stoneRows.map((row, idx) => (
+                  <InlineStack key={idx} gap="200" blockAlign="end" wrap={false}>
+                    <TextField
+                      label={t("settings.stones.stone")}
+                      labelHidden={idx > 0}
+                      value={row.stoneType}
+                      onChange={setStoneField(idx, "stoneType")}
+                      autoComplete="off"
+                      placeholder="diamond"
+                    />
+                    <TextField
+                      label={t("settings.stones.quality")}
+                      labelHidden={idx > 0}
+                      value={row.quality}
+                      onChange={setStoneField(idx, "quality")}
+                      autoComplete="off"
+                      placeholder={t("settings.stones.anyQuality")}
+                    />
+                    <TextField
+                      label={t("settings.stones.ratePerCarat")}
+                      labelHidden={idx > 0}
+                      type="number"
+                      value={row.ratePerCarat}
+                      onChange={setStoneField(idx, "ratePerCarat")}
+                      autoComplete="off"
+                      prefix={currencySymbol}
+                    />
+                    <Button
+                      variant="tertiary"
+                      tone="critical"
+                      onClick={() => setStoneRows((prev) => prev.filter((_, i) => i !== idx))}
+                    >
+                      {t("settings.remove")}
+                    </Button>
+                  </InlineStack>
+                ))}
+                <InlineStack align="space-between">
+                  <Button
+                    onClick={() =>
+                      setStoneRows((prev) => [...prev, { stoneType: "", quality: "", ratePerCarat: "0" }])
+                    }
+                  >
+                    {t("settings.stones.add")}
+                  </Button>
+                  <Button
+                    variant="primary"
+                    onClick={handleSaveStoneRates}
+                    loading={stoneFetcher.state !== "idle"}
+                  >
+                    {t("common.save")}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.Section>
+            <Card padding="0">
+              <div style={{ padding: "16px 20px", borderBottom: "1px solid #e1e3e5" }}>
+                <Text variant="headingMd" as="h2">{t("settings.runs.title")}</Text>
+              </div>
+              {scheduledRuns.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: t("settings.runs.singular"), plural: t("settings.runs.plural") }}
+                  itemCount={scheduledRuns.length}
+                  headings={[
+                    { title: t("settings.runs.started") },
+                    { title: t("settings.runs.status") },
+                    { title: t("settings.runs.updated") },
+                    { title: t("settings.runs.failed") },
+                    { title: t("settings.runs.details") },
+                  ]}
+                  selectable={false}
+                >
+                  {runRows}
+                </IndexTable>
+              ) : (
+                <div style={{ padding: "32px", textAlign: "center" }}>
+                  <Text tone="subdued">{t("settings.runs.empty")}</Text>
+                </div>
+              )}
+            </Card>
+          </Layout.Section>
+        </Layout>
+
+        {toast && (
+          <Toast content={toast.message} error={toast.error} onDismiss={() => setToast(null)} />
+        )}
+      </Page>
+    </Frame>
+  );
+}
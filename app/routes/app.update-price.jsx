@@ -1,7 +1,7 @@
-// app/routes/app.breakdown.jsx
+// app/routes/app.update-price.jsx
 
-import { useLoaderData, useFetcher, Link } from "react-router";
-import { useEffect, useMemo, useState } from "react";
+import { useLoaderData, useFetcher, useRevalidator, Link } from "react-router";
+import { useEffect, useMemo, useRef, useState } from "react";
 import {
   Page,
   Layout,
@@ -19,18 +19,57 @@ import {
   Badge,
   IndexTable,
   Icon,
+  Select,
+  Checkbox,
+  Banner,
+  DropZone,
+  ProgressBar,
 } from "@shopify/polaris";
 import {
   EditIcon,
   AlertCircleIcon,
   CheckIcon,
+  ExportIcon,
+  ImportIcon,
+  LockIcon,
+  RefreshIcon,
 } from "@shopify/polaris-icons";
 import shopify from "../shopify.server";
 import {
-  calculatePriceFromRate,
+  COMPARE_AT_POLICIES,
+  MAKING_CHARGE_TYPES,
+  METALS,
+  QUOTE_UNITS,
+  ROUNDING_DIRECTIONS,
+  ROUNDING_RULES,
+  buildPriceChanges,
+  checkGuardrails,
+  findGuardrailViolations,
+  parsePurity,
+  priceVariant,
+  quoteToRatePerGram,
+  rateChangePercent,
+  resolvePricingCollections,
   summarizeSelectedCollections,
-  parseWeightFromOptions,
 } from "../utils/jewelry-pricing";
+import { ERROR_REPORT_CSV_COLUMNS, PREVIEW_CSV_COLUMNS, parsePriceImport, toCsv } from "../utils/price-csv";
+import { loadCatalog } from "../utils/catalog.server";
+import { getPriceOverrides, savePriceOverride } from "../utils/price-overrides.server";
+import { getActivePriceJob } from "../utils/price-jobs.server";
+import {
+  getPricingSettings,
+  savePricingSetting,
+} from "../utils/pricing-settings.server";
+import { getMetalRates, refreshMetalRates } from "../utils/metal-rates.server";
+import {
+  getShopGuardrails,
+  getShopSettings,
+  getShopTaxRule,
+  getShopWeightSource,
+} from "../utils/shop-settings.server";
+import { getStoneRates } from "../utils/stone-rates.server";
+import { getExchangeRates } from "../utils/exchange-rates.server";
+import { useI18n } from "../utils/i18n";
 
 export const meta = () => [{ title: "Jewelry Price Manager" }];
 
@@ -68,91 +107,371 @@ function getThemeStyles(title) {
   return { ...base, background: "#fef9c3", borderColor: "#e5e7eb", color: "#111827" };
 }
 
+const QUOTE_UNIT_SUFFIXES = { gram: "/g", "10g": "/10g", tola: "/tola", ozt: "/ozt", kg: "/kg" };
+
+// e.g. "USD 2,350/ozt @ ₹83.20", or null when the rate was entered per gram in the shop currency
+function formatQuote({ quoteValue, quoteUnit, quoteCurrency }, exchangeRates, { formatMoney, formatNumber }) {
+  if (quoteValue == null || (quoteUnit === "gram" && !quoteCurrency)) return null;
+  const amount = quoteCurrency ? `${quoteCurrency} ${formatNumber(quoteValue)}` : formatMoney(quoteValue);
+  const fxRate = exchangeRates[quoteCurrency];
+  const fx = quoteCurrency ? ` @ ${fxRate ? formatMoney(fxRate) : "?"}` : "";
+  return `${amount}${QUOTE_UNIT_SUFFIXES[quoteUnit] ?? ""}${fx}`;
+}
+
+// Whole-currency rounding rules ("1", "10", ...) read "Nearest ₹10"
+function roundingRuleLabel(rule, { t, currencySymbol }) {
+  return /^\d+$/.test(rule)
+    ? t("updatePrice.rounding.nearest", { amount: `${currencySymbol}${rule}` })
+    : t(`updatePrice.rounding.rules.${rule}`);
+}
+
+function formatMakingCharge(
+  { makingChargeType, makingChargeValue, makingChargeMin, makingChargeDiscount },
+  { t, formatMoney },
+) {
+  const base = {
+    per_gram: `${formatMoney(makingChargeValue)}/g`,
+    per_piece: `${formatMoney(makingChargeValue)}/pc`,
+    percent: `${makingChargeValue}%`,
+  }[makingChargeType];
+  const withMin =
+    makingChargeMin > 0
+      ? t("updatePrice.making.withMin", { charge: base, min: formatMoney(makingChargeMin) })
+      : base;
+  return makingChargeDiscount > 0
+    ? t("updatePrice.making.withDiscount", { charge: withMin, discount: makingChargeDiscount })
+    : withMin;
+}
+
+const signed = (value) => `${value > 0 ? "+" : ""}${value}`;
+
+// One line per broken safety limit, for badges and the confirmation list
+function describeViolation({ rule, limit, value }, { t, formatMoney }) {
+  if (rule === "min_price") return t("updatePrice.guardrails.minPrice", { limit: formatMoney(limit) });
+  return t(`updatePrice.guardrails.${rule === "rate_change" ? "rateChange" : "priceChange"}`, {
+    value: signed(value),
+    limit,
+  });
+}
+
+function formatCompareAtPolicy({ compareAtPolicy, compareAtPercent }, { t }) {
+  if (compareAtPolicy === "markup") return t("updatePrice.compareAt.pricePlus", { percent: compareAtPercent });
+  return t(`updatePrice.compareAt.policies.${compareAtPolicy}`);
+}
+
 // Loader
 export async function loader({ request }) {
-  const { admin } = await shopify.authenticate.admin(request);
-  const response = await admin.graphql(
-    `#graphql
-      query CollectionsWithProducts {
-        collections(first: 50) {
-          edges {
-            node {
-              id
-              title
-              handle
-              products(first: 50) {
-                edges {
-                  node {
-                    id
-                    title
-                    handle
-                    status
-                    variants(first: 50) {
-                      edges {
-                        node {
-                          id
-                          title
-                          price
-                          selectedOptions { name value }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    `
-  );
-  const body = await response.json();
-  const collections = body.data?.collections?.edges?.map(({ node }) => {
-    const products = node.products?.edges?.flatMap(({ node: p }) => {
-      const variants = p.variants?.edges ?? [];
-      if (variants.length === 0) return [];
-      return variants.map(({ node: v }) => {
-        const basePrice = Number(v?.price ?? 0);
-        const weightGrams = parseWeightFromOptions(v?.selectedOptions ?? []);
-        return {
-          id: `${p.id}::${v.id}`,
-          productId: p.id,
-          variantId: v.id,
-          title: p.title,
-          variantTitle: v.title,
-          basePrice,
-          weightGrams,
-        };
-      });
-    }) ?? [];
-    return { id: node.id, title: node.title, products };
-  }) ?? [];
-  return { collections };
+  const { admin, session } = await shopify.authenticate.admin(request);
+  const settings = await getShopSettings(session.shop);
+  const [
+    { collections, counts, weightErrors, purityErrors },
+    pricing,
+    metalRates,
+    stoneRates,
+    exchangeRates,
+    priceOverrides,
+    activeJob,
+  ] = await Promise.all([
+    loadCatalog(admin, { weightSource: getShopWeightSource(settings) }),
+    getPricingSettings(session.shop),
+    getMetalRates(session.shop),
+    getStoneRates(session.shop),
+    getExchangeRates(session.shop),
+    getPriceOverrides(session.shop),
+    getActivePriceJob(session.shop),
+  ]);
+  return {
+    collections,
+    counts,
+    weightErrors,
+    purityErrors,
+    pricing,
+    metalRates,
+    rateProvider: settings.rateProvider,
+    tax: getShopTaxRule(settings),
+    guardrails: getShopGuardrails(settings),
+    stoneRates,
+    exchangeRates,
+    priceOverrides,
+    activeJob,
+  };
+}
+
+// Action: persist a collection's rate & markup for this shop, or pull live metal rates
+export async function action({ request }) {
+  const { session } = await shopify.authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save-pricing") {
+    const collectionId = formData.get("collectionId");
+    const quoteValue = Number(formData.get("quoteValue"));
+    const quoteUnit = formData.get("quoteUnit") || "gram";
+    const quoteCurrency = formData.get("quoteCurrency") || null;
+    const percent = Number(formData.get("percent"));
+    const minPrice = formData.get("minPrice") ? Number(formData.get("minPrice")) : null;
+    const priority = Number(formData.get("priority") || 0);
+    const metal = formData.get("metal") || null;
+    const purity = formData.get("purity") || null;
+    const makingChargeType = formData.get("makingChargeType") || "none";
+    const makingChargeValue = Number(formData.get("makingChargeValue") || 0);
+    const makingChargeMin = Number(formData.get("makingChargeMin") || 0);
+    const makingChargeDiscount = Number(formData.get("makingChargeDiscount") || 0);
+    const compareAtPolicy = formData.get("compareAtPolicy") || "keep";
+    const compareAtPercent = Number(formData.get("compareAtPercent") || 0);
+    const roundingRule = formData.get("roundingRule") || "none";
+    const roundingDirection = formData.get("roundingDirection") || "nearest";
+    const taxMetalPercent = formData.get("taxMetalPercent") || null;
+    const taxMakingPercent = formData.get("taxMakingPercent") || null;
+    const taxStonePercent = formData.get("taxStonePercent") || null;
+
+    // Convert on the server with the saved FX rate, whatever the client showed
+    const fxRate = quoteCurrency ? (await getExchangeRates(session.shop))[quoteCurrency] : 1;
+    if (!fxRate) {
+      return { ok: false, error: `No exchange rate for ${quoteCurrency}` };
+    }
+    const ratePerGram = quoteToRatePerGram({ value: quoteValue, unit: quoteUnit, fxRate });
+
+    if (!collectionId || !(ratePerGram > 0) || Number.isNaN(percent)) {
+      return { ok: false, error: "Invalid pricing settings" };
+    }
+    if (minPrice !== null && !(minPrice >= 0)) {
+      return { ok: false, error: "Invalid minimum price" };
+    }
+    if (!Number.isInteger(priority)) {
+      return { ok: false, error: "Priority must be a whole number" };
+    }
+    if (purity && !parsePurity(purity)) {
+      return { ok: false, error: `Unrecognised purity: ${purity}` };
+    }
+    if (
+      !MAKING_CHARGE_TYPES.includes(makingChargeType) ||
+      !(makingChargeValue >= 0) ||
+      !(makingChargeMin >= 0) ||
+      !(makingChargeDiscount >= 0 && makingChargeDiscount <= 100)
+    ) {
+      return { ok: false, error: "Invalid making charge" };
+    }
+    if (!COMPARE_AT_POLICIES.includes(compareAtPolicy) || !(compareAtPercent >= 0)) {
+      return { ok: false, error: "Invalid compare-at policy" };
+    }
+    if (!ROUNDING_RULES.includes(roundingRule) || !ROUNDING_DIRECTIONS.includes(roundingDirection)) {
+      return { ok: false, error: "Invalid rounding policy" };
+    }
+    if ([taxMetalPercent, taxMakingPercent, taxStonePercent].some((v) => v !== null && !(Number(v) >= 0))) {
+      return { ok: false, error: "Invalid tax rate" };
+    }
+
+    const saved = await savePricingSetting(session.shop, collectionId, {
+      ratePerGram,
+      percent,
+      minPrice,
+      priority,
+      metal,
+      purity,
+      quoteValue,
+      quoteUnit,
+      quoteCurrency,
+      makingChargeType,
+      makingChargeValue,
+      makingChargeMin,
+      makingChargeDiscount,
+      compareAtPolicy,
+      compareAtPercent,
+      roundingRule,
+      roundingDirection,
+      taxMetalPercent,
+      taxMakingPercent,
+      taxStonePercent,
+    });
+    return {
+      ok: true,
+      collectionId,
+      ratePerGram,
+      previousRatePerGram: saved.previousRatePerGram,
+      rateChangedAt: saved.rateChangedAt,
+    };
+  }
+
+  if (intent === "save-override") {
+    const variantId = formData.get("variantId");
+    const productId = formData.get("productId");
+    const fixedPrice = formData.get("fixedPrice") ? Number(formData.get("fixedPrice")) : null;
+    const extraPercent = formData.get("extraPercent") ? Number(formData.get("extraPercent")) : null;
+
+    if (!variantId || !productId) {
+      return { ok: false, error: "Missing variantId or productId" };
+    }
+    if (fixedPrice !== null && !(fixedPrice > 0)) {
+      return { ok: false, error: "Invalid fixed price" };
+    }
+    if (extraPercent !== null && !Number.isFinite(extraPercent)) {
+      return { ok: false, error: "Invalid extra markup" };
+    }
+
+    await savePriceOverride(session.shop, variantId, {
+      productId,
+      locked: formData.get("lockVariant") === "true",
+      fixedPrice,
+      extraPercent,
+    });
+    await savePriceOverride(session.shop, productId, {
+      productId,
+      locked: formData.get("lockProduct") === "true",
+      pricingCollectionId: formData.get("pricingCollectionId") || null,
+    });
+    return { ok: true, overrides: await getPriceOverrides(session.shop) };
+  }
+
+  if (intent === "refresh-rates") {
+    const { rates, error } = await refreshMetalRates(session.shop);
+    const pricing = await getPricingSettings(session.shop);
+    return { ok: !error, error, rates, pricing };
+  }
+
+  return { ok: false, error: `Unknown intent: ${intent}` };
+}
+
+// Rate changes are applied from the action result, so skip re-fetching the catalog
+export function shouldRevalidate({ formData, defaultShouldRevalidate }) {
+  if (["save-pricing", "save-override", "refresh-rates"].includes(formData?.get("intent"))) return false;
+  return defaultShouldRevalidate;
+}
+
+const JOB_POLL_INTERVAL_MS = 2000;
+
+function downloadCsv(rows, filename) {
+  // The BOM makes Excel read the file as UTF-8
+  const blob = new Blob(["\uFEFF", toCsv(rows)], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
 export default function UpdatePrice() {
-  const { collections } = useLoaderData();
+  const {
+    collections,
+    counts,
+    weightErrors,
+    purityErrors,
+    pricing: savedPricing,
+    metalRates: savedMetalRates,
+    rateProvider,
+    tax,
+    guardrails,
+    stoneRates,
+    exchangeRates,
+    priceOverrides: savedOverrides,
+    activeJob,
+  } = useLoaderData();
   const fetcher = useFetcher();
-  const isUpdating = fetcher.state !== "idle";
+  const pricingFetcher = useFetcher();
+  const overrideFetcher = useFetcher();
+  const ratesFetcher = useFetcher();
+  const jobFetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const isFetchingRates = ratesFetcher.state !== "idle";
+  // Price updates run as background jobs; this is the latest one seen
+  const [job, setJob] = useState(activeJob);
+  const seenJobPoll = useRef(null);
+  const [dismissedJobId, setDismissedJobId] = useState(null);
+  const jobActive = job?.status === "queued" || job?.status === "running";
+  const isUpdating = fetcher.state !== "idle" || jobActive;
+  const i18n = useI18n();
+  const { t, formatMoney, formatDateTime, formatTime, currency, currencySymbol } = i18n;
 
   // State
   const [selectedIds, setSelectedIds] = useState([]);
   const [selectionDone, setSelectionDone] = useState(false);
-  const [pricing, setPricing] = useState(() => {
-    if (typeof window === "undefined") return {};
-    try {
-      const raw = window.localStorage.getItem("jpm_pricing");
-      return raw ? JSON.parse(raw) : {};
-    } catch { return {}; }
-  });
+  const [pricing, setPricing] = useState(savedPricing);
+  const [metalRates, setMetalRates] = useState(savedMetalRates);
 
   const [modalCollectionId, setModalCollectionId] = useState(null);
   const [modalRate, setModalRate] = useState("0");
+  const [modalQuoteUnit, setModalQuoteUnit] = useState("gram");
+  const [modalQuoteCurrency, setModalQuoteCurrency] = useState("");
   const [modalPercent, setModalPercent] = useState("0");
+  const [modalMinPrice, setModalMinPrice] = useState("");
+  const [modalPriority, setModalPriority] = useState("0");
+  const [modalMetal, setModalMetal] = useState("");
+  const [modalPurity, setModalPurity] = useState("");
+  const [modalMakingType, setModalMakingType] = useState("none");
+  const [modalMakingValue, setModalMakingValue] = useState("0");
+  const [modalMakingMin, setModalMakingMin] = useState("0");
+  const [modalMakingDiscount, setModalMakingDiscount] = useState("0");
+  const [modalCompareAtPolicy, setModalCompareAtPolicy] = useState("keep");
+  const [modalCompareAtPercent, setModalCompareAtPercent] = useState("0");
+  const [modalRoundingRule, setModalRoundingRule] = useState("none");
+  const [modalRoundingDirection, setModalRoundingDirection] = useState("nearest");
+  const [modalTaxOverride, setModalTaxOverride] = useState(false);
+  const [modalTaxMetal, setModalTaxMetal] = useState("");
+  const [modalTaxMaking, setModalTaxMaking] = useState("");
+  const [modalTaxStone, setModalTaxStone] = useState("");
   const [lastUpdated, setLastUpdated] = useState(new Date());
   const [toast, setToast] = useState(null);
+  // Changes waiting for the merchant to confirm they may break safety limits
+  const [confirmation, setConfirmation] = useState(null);
+  const submittedChanges = useRef([]);
+  // Saved locks, fixed prices and extra markups, keyed by variant or product id
+  const [storedOverrides, setStoredOverrides] = useState(savedOverrides);
+  // Per-variant fixed prices and markups from a CSV import, until reload
+  const [importedOverrides, setImportedOverrides] = useState({});
+  const [overrideTarget, setOverrideTarget] = useState(null);
+  const [overrideLockVariant, setOverrideLockVariant] = useState(false);
+  const [overrideLockProduct, setOverrideLockProduct] = useState(false);
+  const [overrideFixedPrice, setOverrideFixedPrice] = useState("");
+  const [overrideExtraPercent, setOverrideExtraPercent] = useState("");
+  const [overridePricingCollection, setOverridePricingCollection] = useState("");
+  const [importOpen, setImportOpen] = useState(false);
+  const [importFileName, setImportFileName] = useState("");
+  const [importResult, setImportResult] = useState(null);
 
   // Computed
+  // Imported overrides go on top of the saved ones, but can't lift a lock
+  const overrides = useMemo(() => {
+    const merged = { ...storedOverrides };
+    for (const [id, imported] of Object.entries(importedOverrides)) {
+      merged[id] = { ...storedOverrides[id], ...imported, locked: storedOverrides[id]?.locked };
+    }
+    return merged;
+  }, [storedOverrides, importedOverrides]);
+  const pricingContext = useMemo(() => ({ tax, stoneRates, overrides }), [tax, stoneRates, overrides]);
+  const collectionTitles = useMemo(
+    () => Object.fromEntries(collections.map((c) => [c.id, c.title])),
+    [collections]
+  );
+  const variantsById = useMemo(
+    () => new Map(collections.flatMap((c) => c.products.map((v) => [v.variantId, v]))),
+    [collections]
+  );
+
+  // Failed products of the last finished job, with their messages, how
+  // many of their variants a retry would resend, and whether all of their
+  // errors were rejections a retry can't fix
+  const showJobResults =
+    Boolean(job) && !jobActive && job.id !== dismissedJobId && (job.failed > 0 || job.status === "failed");
+  const jobFailures = useMemo(() => {
+    if (!showJobResults) return [];
+    const titles = new Map([...variantsById.values()].map((v) => [v.productId, v.title]));
+    const byProduct = new Map();
+    for (const e of job.errors) {
+      const key = e.productId ?? e.variantId ?? "";
+      const entry = byProduct.get(key) ?? {
+        key,
+        title: titles.get(e.productId) ?? variantsById.get(e.variantId)?.title ?? e.productId ?? e.variantId,
+        messages: [],
+        variants: job.failedChanges.filter((c) => e.productId && c.productId === e.productId).length,
+        rejected: true,
+      };
+      if (!entry.messages.includes(e.messages)) entry.messages.push(e.messages);
+      entry.rejected = entry.rejected && Boolean(e.rejected);
+      byProduct.set(key, entry);
+    }
+    return [...byProduct.values()];
+  }, [job, showJobResults, variantsById]);
   const selectedCollections = useMemo(
     () => collections.filter((c) => selectedIds.includes(c.id)),
     [collections, selectedIds]
@@ -163,22 +482,29 @@ export default function UpdatePrice() {
     return !conf || !(conf.ratePerGram > 0);
   }), [selectedCollections, pricing]);
   const hasInvalidPricing = invalidCollections.length > 0;
+  // Variants in more than one selected collection, and which one prices them
+  const sharedVariants = useMemo(
+    () => resolvePricingCollections(selectedCollections, pricing, overrides),
+    [selectedCollections, pricing, overrides]
+  );
+  const pendingChanges = useMemo(
+    () => buildPriceChanges(selectedCollections, pricing, pricingContext),
+    [selectedCollections, pricing, pricingContext]
+  );
+  const flaggedChanges = useMemo(
+    () => findGuardrailViolations(pendingChanges, { pricing, guardrails }),
+    [pendingChanges, pricing, guardrails]
+  );
 
   // Helper: Check if all collections are selected
   const allSelected = collections.length > 0 && selectedIds.length === collections.length;
 
   // Effects
-  useEffect(() => {
-    if (typeof window !== "undefined") {
-      window.localStorage.setItem("jpm_pricing", JSON.stringify(pricing));
-    }
-  }, [pricing]);
-
   useEffect(() => {
     setPricing((prev) => {
       const next = { ...prev };
       collections.forEach((c) => {
-        if (!next[c.id]) next[c.id] = { ratePerGram: 0, percent: 0 };
+        if (!next[c.id]) next[c.id] = { ratePerGram: 0, percent: 0, metal: null, purity: null };
       });
       return next;
     });
@@ -186,14 +512,81 @@ export default function UpdatePrice() {
 
   useEffect(() => {
     if (fetcher.state === "idle" && fetcher.data) {
-      if (fetcher.data.ok) {
-        setToast({ error: false, message: `Successfully updated ${fetcher.data.updated} variants.` });
+      // The server found limits the preview didn't (e.g. prices changed since loading)
+      if (fetcher.data.violations) {
+        setConfirmation({ changes: submittedChanges.current, violations: fetcher.data.violations });
+        return;
+      }
+      if (fetcher.data.job) {
+        setJob(fetcher.data.job);
+        setToast({ error: false, message: t("updatePrice.job.queued", { count: fetcher.data.job.total }) });
       } else {
-        setToast({ error: true, message: "Failed to update some prices." });
+        setToast({ error: true, message: t("updatePrice.toast.updateFailed") });
       }
-      setLastUpdated(new Date());
     }
-  }, [fetcher.state, fetcher.data]);
+  }, [fetcher.state, fetcher.data, t]);
+
+  // Poll the running job until it finishes
+  const jobId = job?.id;
+  const loadJob = jobFetcher.load;
+  useEffect(() => {
+    if (!jobActive) return;
+    const timer = setInterval(() => loadJob(`/app/update-prices?job=${jobId}`), JOB_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [jobActive, jobId, loadJob]);
+
+  useEffect(() => {
+    const polled = jobFetcher.data?.job;
+    if (!polled || seenJobPoll.current === jobFetcher.data) return;
+    seenJobPoll.current = jobFetcher.data;
+    setJob(polled);
+    if (polled.status === "completed") {
+      setToast(polled.failed > 0
+        ? { error: true, message: t("updatePrice.toast.updateFailed") }
+        : { error: false, message: t("updatePrice.toast.updated", { count: polled.updated }) });
+    } else if (polled.status === "failed") {
+      setToast({ error: true, message: t("updatePrice.job.failed", { error: polled.error }) });
+    } else {
+      return;
+    }
+    setLastUpdated(new Date());
+    // Reload the catalog so current prices show what was written
+    revalidate();
+  }, [jobFetcher.data, revalidate, t]);
+
+  useEffect(() => {
+    if (pricingFetcher.state !== "idle" || !pricingFetcher.data) return;
+    const { ok, collectionId, previousRatePerGram, rateChangedAt } = pricingFetcher.data;
+    if (!ok) {
+      setToast({ error: true, message: t("updatePrice.toast.saveFailed") });
+      return;
+    }
+    // A new day's rate moves the baseline the rate change is measured from
+    setPricing((prev) => ({
+      ...prev,
+      [collectionId]: { ...prev[collectionId], previousRatePerGram, rateChangedAt },
+    }));
+  }, [pricingFetcher.state, pricingFetcher.data, t]);
+
+  useEffect(() => {
+    if (overrideFetcher.state !== "idle" || !overrideFetcher.data) return;
+    if (!overrideFetcher.data.ok) {
+      setToast({ error: true, message: t("updatePrice.overrides.saveFailed") });
+      return;
+    }
+    setStoredOverrides(overrideFetcher.data.overrides);
+    setToast({ error: false, message: t("updatePrice.overrides.saved") });
+  }, [overrideFetcher.state, overrideFetcher.data, t]);
+
+  useEffect(() => {
+    if (ratesFetcher.state !== "idle" || !ratesFetcher.data) return;
+    const { rates, pricing: refreshed, error } = ratesFetcher.data;
+    if (rates) setMetalRates(rates);
+    if (refreshed) setPricing((prev) => ({ ...prev, ...refreshed }));
+    setToast(error
+      ? { error: true, message: t("updatePrice.toast.liveRatesFailed", { error }) }
+      : { error: false, message: t("updatePrice.toast.liveRatesUpdated") });
+  }, [ratesFetcher.state, ratesFetcher.data, t]);
 
   // Actions
   const toggleCollection = (id) => {
@@ -210,7 +603,7 @@ export default function UpdatePrice() {
   };
 
   const handleSelectionDone = () => {
-    if (selectedIds.length === 0) setToast({ error: true, message: "Select a collection first." });
+    if (selectedIds.length === 0) setToast({ error: true, message: t("updatePrice.toast.selectCollection") });
     else setSelectionDone(true);
   };
 
@@ -220,41 +613,299 @@ export default function UpdatePrice() {
 
   const openModal = (id) => {
     setModalCollectionId(id);
-    const curr = pricing[id] ?? { ratePerGram: 0, percent: 0 };
-    setModalRate(String(curr.ratePerGram));
+    const curr = pricing[id] ?? { ratePerGram: 0, percent: 0, metal: null, purity: null };
+    setModalRate(String(curr.quoteValue ?? curr.ratePerGram));
+    setModalQuoteUnit(curr.quoteUnit ?? "gram");
+    setModalQuoteCurrency(curr.quoteCurrency ?? "");
     setModalPercent(String(curr.percent));
+    setModalMinPrice(curr.minPrice != null ? String(curr.minPrice) : "");
+    setModalPriority(String(curr.priority ?? 0));
+    setModalMetal(curr.metal ?? "");
+    setModalPurity(curr.purity ?? "");
+    setModalMakingType(curr.makingChargeType ?? "none");
+    setModalMakingValue(String(curr.makingChargeValue ?? 0));
+    setModalMakingMin(String(curr.makingChargeMin ?? 0));
+    setModalMakingDiscount(String(curr.makingChargeDiscount ?? 0));
+    setModalCompareAtPolicy(curr.compareAtPolicy ?? "keep");
+    setModalCompareAtPercent(String(curr.compareAtPercent ?? 0));
+    setModalRoundingRule(curr.roundingRule ?? "none");
+    setModalRoundingDirection(curr.roundingDirection ?? "nearest");
+    const hasTaxOverride = [curr.taxMetalPercent, curr.taxMakingPercent, curr.taxStonePercent]
+      .some((v) => v != null);
+    setModalTaxOverride(hasTaxOverride);
+    setModalTaxMetal(String(curr.taxMetalPercent ?? tax.metalPercent));
+    setModalTaxMaking(String(curr.taxMakingPercent ?? tax.makingPercent));
+    setModalTaxStone(String(curr.taxStonePercent ?? tax.stonePercent));
+  };
+
+  const handleModalMetalChange = (metal) => {
+    setModalMetal(metal);
+    // Start from the latest live rate when linking a collection to a metal
+    if (metal && metalRates[metal]) {
+      setModalRate(String(metalRates[metal].ratePerGram));
+      setModalQuoteUnit("gram");
+      setModalQuoteCurrency("");
+    }
+  };
+
+  const handleFetchRates = () => {
+    ratesFetcher.submit({ intent: "refresh-rates" }, { method: "post" });
   };
 
+  const modalRatePerGram = quoteToRatePerGram({
+    value: modalRate,
+    unit: modalQuoteUnit,
+    fxRate: modalQuoteCurrency ? exchangeRates[modalQuoteCurrency] : 1,
+  });
+
   const handleSavePricing = () => {
-    const rate = Number(modalRate);
+    const rate = modalRatePerGram;
     if (!rate || rate <= 0) {
-      setToast({ error: true, message: "Enter a valid positive rate." });
+      setToast({ error: true, message: t("updatePrice.toast.invalidRate") });
+      return;
+    }
+    const purityInput = modalPurity.trim();
+    const parsedPurity = parsePurity(purityInput);
+    if (purityInput && !parsedPurity) {
+      setToast({ error: true, message: t("updatePrice.toast.invalidPurity") });
       return;
     }
-    setPricing(prev => ({ ...prev, [modalCollectionId]: { ratePerGram: rate, percent: Number(modalPercent) } }));
+    const makingChargeValue = Number(modalMakingValue) || 0;
+    const makingChargeMin = Number(modalMakingMin) || 0;
+    if (makingChargeValue < 0 || makingChargeMin < 0) {
+      setToast({ error: true, message: t("updatePrice.toast.negativeMaking") });
+      return;
+    }
+    const makingChargeDiscount = Number(modalMakingDiscount) || 0;
+    if (makingChargeDiscount < 0 || makingChargeDiscount > 100) {
+      setToast({ error: true, message: t("updatePrice.toast.invalidMakingDiscount") });
+      return;
+    }
+    const compareAtPercent = Number(modalCompareAtPercent) || 0;
+    if (compareAtPercent < 0) {
+      setToast({ error: true, message: t("updatePrice.toast.negativeCompareAt") });
+      return;
+    }
+    const taxMetalPercent = modalTaxOverride ? Number(modalTaxMetal) || 0 : null;
+    const taxMakingPercent = modalTaxOverride ? Number(modalTaxMaking) || 0 : null;
+    const taxStonePercent = modalTaxOverride ? Number(modalTaxStone) || 0 : null;
+    if (taxMetalPercent < 0 || taxMakingPercent < 0 || taxStonePercent < 0) {
+      setToast({ error: true, message: t("updatePrice.toast.negativeTax") });
+      return;
+    }
+    const minPrice = Number(modalMinPrice) || null;
+    if (minPrice !== null && minPrice < 0) {
+      setToast({ error: true, message: t("updatePrice.toast.negativeMinPrice") });
+      return;
+    }
+    const percent = Number(modalPercent) || 0;
+    const priority = Math.trunc(Number(modalPriority) || 0);
+    const metal = modalMetal || null;
+    const purity = parsedPurity?.label ?? null;
+    const setting = {
+      ratePerGram: rate,
+      percent,
+      minPrice,
+      priority,
+      metal,
+      purity,
+      quoteValue: Number(modalRate),
+      quoteUnit: modalQuoteUnit,
+      quoteCurrency: modalQuoteCurrency || null,
+      makingChargeType: modalMakingType,
+      makingChargeValue,
+      makingChargeMin,
+      makingChargeDiscount,
+      compareAtPolicy: modalCompareAtPolicy,
+      compareAtPercent,
+      roundingRule: modalRoundingRule,
+      roundingDirection: modalRoundingDirection,
+      taxMetalPercent,
+      taxMakingPercent,
+      taxStonePercent,
+    };
+    setPricing(prev => ({
+      ...prev,
+      [modalCollectionId]: {
+        ...setting,
+        previousRatePerGram: prev[modalCollectionId]?.previousRatePerGram ?? null,
+        rateChangedAt: prev[modalCollectionId]?.rateChangedAt ?? null,
+      },
+    }));
+    pricingFetcher.submit(
+      {
+        intent: "save-pricing",
+        collectionId: modalCollectionId,
+        ...setting,
+        minPrice: minPrice ?? "",
+        metal: metal ?? "",
+        purity: purity ?? "",
+        quoteCurrency: modalQuoteCurrency,
+        taxMetalPercent: taxMetalPercent ?? "",
+        taxMakingPercent: taxMakingPercent ?? "",
+        taxStonePercent: taxStonePercent ?? "",
+      },
+      { method: "post" }
+    );
     setModalCollectionId(null);
   };
 
+  const submitChanges = (changes, confirmed = false) => {
+    submittedChanges.current = changes;
+    fetcher.submit(
+      { changes: JSON.stringify(changes), confirmGuardrails: String(confirmed) },
+      { method: "post", action: "/app/update-prices" }
+    );
+  };
+
   const handleApplyPrices = () => {
-    const changes = [];
-    selectedCollections.forEach(col => {
-      const { ratePerGram, percent } = pricing[col.id];
-      col.products.forEach(prod => {
-        if (!prod.weightGrams) return;
-        const newPrice = calculatePriceFromRate(prod.weightGrams, ratePerGram, percent);
-        if (Math.abs(newPrice - prod.basePrice) > 0.01) {
-          changes.push({ productId: prod.productId, variantId: prod.variantId, newPrice });
+    if (pendingChanges.length === 0) return setToast({ error: false, message: t("updatePrice.toast.noChanges") });
+    if (flaggedChanges.length > 0) return setConfirmation({ changes: pendingChanges, violations: flaggedChanges });
+    submitChanges(pendingChanges);
+  };
+
+  const handleConfirmChanges = () => {
+    submitChanges(confirmation.changes, true);
+    setConfirmation(null);
+  };
+
+  const openOverride = (variant) => {
+    const saved = storedOverrides[variant.variantId];
+    setOverrideTarget(variant);
+    setOverrideLockVariant(Boolean(saved?.locked));
+    setOverrideLockProduct(Boolean(storedOverrides[variant.productId]?.locked));
+    setOverrideFixedPrice(saved?.price != null ? String(saved.price) : "");
+    setOverrideExtraPercent(saved?.extraPercent != null ? String(saved.extraPercent) : "");
+    setOverridePricingCollection(storedOverrides[variant.productId]?.pricingCollectionId ?? "");
+  };
+
+  const handleSaveOverride = () => {
+    const fixedPrice = Number(overrideFixedPrice) || null;
+    const extraPercent = Number(overrideExtraPercent) || null;
+    if (fixedPrice !== null && fixedPrice < 0) {
+      setToast({ error: true, message: t("updatePrice.toast.negativeFixedPrice") });
+      return;
+    }
+    overrideFetcher.submit(
+      {
+        intent: "save-override",
+        variantId: overrideTarget.variantId,
+        productId: overrideTarget.productId,
+        lockVariant: String(overrideLockVariant),
+        lockProduct: String(overrideLockProduct),
+        pricingCollectionId: overridePricingCollection,
+        fixedPrice: fixedPrice ?? "",
+        extraPercent: extraPercent ?? "",
+      },
+      { method: "post" }
+    );
+    setOverrideTarget(null);
+  };
+
+  // Same numbers as the preview table, unformatted so spreadsheets can sum them
+  const handleExportCsv = () => {
+    const rows = selectedCollections.flatMap((col) =>
+      col.products.filter((v) => (sharedVariants.get(v.variantId)?.winnerId ?? col.id) === col.id).map((v) => {
+        const { ratePerGram, percent, fixedPrice, missingStoneRate, unreadablePurity, newPrice } =
+          priceVariant(v, pricing[col.id], pricingContext);
+        const priced = (v.weightGrams || fixedPrice) && !missingStoneRate && !unreadablePurity;
+        return [
+          v.title,
+          v.variantTitle,
+          col.title,
+          v.weightGrams || "",
+          ratePerGram,
+          percent,
+          v.basePrice,
+          priced ? newPrice : v.basePrice,
+          v.variantId,
+        ];
+      })
+    );
+    downloadCsv([PREVIEW_CSV_COLUMNS, ...rows], `price-preview-${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  // Resubmit only what the last job couldn't write, at the prices it tried
+  const handleRetryFailed = () => {
+    setDismissedJobId(job.id);
+    submitChanges(job.failedChanges);
+  };
+
+  // One row per variant that didn't change, with why and whether "retry
+  // failed only" resends it
+  const handleDownloadErrorReport = () => {
+    const byProduct = new Map(job.errors.filter((e) => !e.rejected).map((e) => [e.productId, e.messages]));
+    const row = (c, error, retried) => {
+      const variant = variantsById.get(c.variantId);
+      return [
+        variant?.title ?? "",
+        variant?.variantTitle ?? "",
+        c.productId ?? "",
+        c.variantId ?? "",
+        c.newPrice ?? "",
+        error,
+        retried ? "yes" : "no",
+      ];
+    };
+    const rows = [
+      ...job.failedChanges.map((c) => row(c, byProduct.get(c.productId) ?? job.error ?? "", true)),
+      ...job.errors.filter((e) => e.rejected).map((e) => row(e, e.messages, false)),
+    ];
+    downloadCsv([ERROR_REPORT_CSV_COLUMNS, ...rows], `price-update-errors-${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  const closeImport = () => {
+    setImportOpen(false);
+    setImportFileName("");
+    setImportResult(null);
+  };
+
+  const handleImportFile = async ([file]) => {
+    if (!file) return;
+    setImportFileName(file.name);
+    setImportResult(parsePriceImport(await file.text(), collections));
+  };
+
+  // Imported rates and overrides only change the preview; nothing is saved
+  // or pushed until the merchant does so
+  const handleApplyImport = () => {
+    const { kind, rates, overrides: imported } = importResult;
+    const touched = kind === "rates"
+      ? rates.map((rate) => rate.collectionId)
+      : collections.filter((c) => c.products.some((p) => p.variantId in imported)).map((c) => c.id);
+
+    if (kind === "rates") {
+      setPricing((prev) => {
+        const next = { ...prev };
+        for (const { collectionId, ratePerGram, percent } of rates) {
+          next[collectionId] = {
+            ...next[collectionId],
+            ratePerGram,
+            quoteValue: ratePerGram,
+            quoteUnit: "gram",
+            quoteCurrency: null,
+            percent: percent ?? next[collectionId]?.percent ?? 0,
+          };
         }
+        return next;
       });
+    } else {
+      setImportedOverrides((prev) => ({ ...prev, ...imported }));
+    }
+    setSelectedIds((prev) => [...new Set([...prev, ...touched])]);
+    setSelectionDone(true);
+    setToast({
+      error: false,
+      message: t(`updatePrice.import.applied.${kind}`, {
+        count: kind === "rates" ? rates.length : Object.keys(imported).length,
+      }),
     });
-
-    if (changes.length === 0) return setToast({ error: false, message: "No price changes detected." });
-    fetcher.submit({ changes: JSON.stringify(changes) }, { method: "post", action: "/app/update-prices" });
+    closeImport();
   };
 
   // Prepare table rows
   const tableRows = selectedCollections.flatMap(col => {
-    const { ratePerGram, percent } = pricing[col.id];
+    const conf = pricing[col.id];
     const groups = {};
     col.products.forEach(p => {
       const key = `${p.productId}-${p.weightGrams}`;
@@ -263,33 +914,137 @@ export default function UpdatePrice() {
     });
 
     return Object.values(groups).flatMap((groupVariants, groupIdx) => {
-      const first = groupVariants[0];
-      const newPrice = first.weightGrams
-        ? calculatePriceFromRate(first.weightGrams, ratePerGram, percent)
-        : first.basePrice;
-
-      return groupVariants.map((v, idx) => (
-        <IndexTable.Row key={`${col.id}-${v.variantId}`} id={v.variantId} position={idx}>
-          <IndexTable.Cell>
-            {idx === 0 ? (
-              <Text fontWeight="bold" as="span">
-                {v.title} {v.weightGrams ? `(${v.weightGrams}g)` : ''}
-              </Text>
-            ) : null}
-            <div style={{ paddingLeft: idx === 0 ? 0 : '16px', color: '#6b7280', fontSize: '13px' }}>
-              {idx > 0 && "↳ "}{v.variantTitle === 'Default Title' ? 'Standard' : v.variantTitle}
-            </div>
-          </IndexTable.Cell>
-          <IndexTable.Cell>{col.title}</IndexTable.Cell>
-          <IndexTable.Cell>{v.weightGrams ? `${v.weightGrams}g` : '—'}</IndexTable.Cell>
-          <IndexTable.Cell>₹{ratePerGram}/g</IndexTable.Cell>
-          <IndexTable.Cell>{percent > 0 ? `+${percent}%` : `${percent}%`}</IndexTable.Cell>
-          <IndexTable.Cell>₹{v.basePrice.toLocaleString()}</IndexTable.Cell>
-          <IndexTable.Cell>
-            <Text fontWeight="bold" tone="success">₹{newPrice.toLocaleString()}</Text>
-          </IndexTable.Cell>
-        </IndexTable.Row>
-      ));
+      return groupVariants.map((v, idx) => {
+        const {
+          purity,
+          ratePerGram,
+          stoneRate,
+          missingStoneRate,
+          unreadablePurity,
+          breakdown,
+          percent,
+          locked,
+          fixedPrice,
+          newPrice: computed,
+          compareAtPrice,
+        } = priceVariant(v, conf, pricingContext);
+        const shared = sharedVariants.get(v.variantId);
+        const outranked = shared && shared.winnerId !== col.id;
+        const priced =
+          !locked && !outranked && (v.weightGrams || fixedPrice) && !missingStoneRate && !unreadablePurity;
+        const extraPercent = overrides[v.variantId]?.extraPercent;
+        const newPrice = priced ? computed : v.basePrice;
+        const violations = priced ? checkGuardrails({ oldPrice: v.basePrice, newPrice }, conf, guardrails) : [];
+
+        return (
+          <IndexTable.Row key={`${col.id}-${v.variantId}`} id={v.variantId} position={idx}>
+            <IndexTable.Cell>
+              {idx === 0 ? (
+                <Text fontWeight="bold" as="span">
+                  {v.title} {v.weightGrams ? `(${v.weightGrams}g)` : ''}
+                </Text>
+              ) : null}
+              <div style={{ paddingLeft: idx === 0 ? 0 : '16px', color: '#6b7280', fontSize: '13px' }}>
+                {idx > 0 && "↳ "}{v.variantTitle === 'Default Title' ? t("updatePrice.standardVariant") : v.variantTitle}
+              </div>
+              {locked && <Badge tone="warning" icon={LockIcon}>{t("updatePrice.table.locked")}</Badge>}
+              {shared && (
+                <Badge tone={outranked ? "attention" : "info"}>
+                  {outranked
+                    ? t("updatePrice.shared.pricedBy", {
+                        collection: collectionTitles[shared.winnerId],
+                        rule: t(`updatePrice.shared.rules.${shared.rule}`),
+                      })
+                    : t("updatePrice.shared.pricedHere", {
+                        collections: shared.collectionIds
+                          .filter((id) => id !== col.id)
+                          .map((id) => collectionTitles[id])
+                          .join(", "),
+                      })}
+                </Badge>
+              )}
+            </IndexTable.Cell>
+            <IndexTable.Cell>{col.title}</IndexTable.Cell>
+            <IndexTable.Cell>
+              {v.weightGrams ? `${v.weightGrams}g` : '—'}
+              {v.weightError && <Badge tone="critical">{v.weightError}</Badge>}
+              {v.weightSource && v.weightSource !== 'option' && (
+                <div style={{ color: '#6b7280', fontSize: '12px' }}>{t(`updatePrice.table.weightFrom.${v.weightSource}`)}</div>
+              )}
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              {unreadablePurity ? <Badge tone="critical">{v.purityError}</Badge> : purity ? purity.label : '—'}
+            </IndexTable.Cell>
+            <IndexTable.Cell>{formatMoney(ratePerGram)}/g</IndexTable.Cell>
+            <IndexTable.Cell>{v.weightGrams ? formatMoney(breakdown.metalValue) : '—'}</IndexTable.Cell>
+            <IndexTable.Cell>{v.weightGrams ? formatMoney(breakdown.makingCharge) : '—'}</IndexTable.Cell>
+            <IndexTable.Cell>
+              {v.stone ? (
+                <BlockStack gap="050">
+                  {missingStoneRate ? (
+                    <Badge tone="critical">
+                      {t("updatePrice.table.noStoneRate", { stone: v.stone.type || t("updatePrice.table.stone") })}
+                    </Badge>
+                  ) : (
+                    <Text as="span">{formatMoney(breakdown.stoneValue)}</Text>
+                  )}
+                  <div style={{ color: '#6b7280', fontSize: '12px' }}>
+                    {v.stone.carat}ct {v.stone.type ?? ''} {v.stone.quality ?? ''}
+                    {stoneRate !== null ? ` · ${formatMoney(stoneRate)}/ct` : ''}
+                  </div>
+                </BlockStack>
+              ) : '—'}
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              {percent > 0 ? `+${percent}%` : `${percent}%`}
+              {extraPercent ? (
+                <div style={{ color: '#6b7280', fontSize: '12px' }}>
+                  {t("updatePrice.table.extraMarkup", { value: extraPercent > 0 ? `+${extraPercent}` : extraPercent })}
+                </div>
+              ) : null}
+            </IndexTable.Cell>
+            <IndexTable.Cell>{formatMoney(v.basePrice)}</IndexTable.Cell>
+            <IndexTable.Cell>{v.weightGrams ? formatMoney(breakdown.preTax) : '—'}</IndexTable.Cell>
+            <IndexTable.Cell>
+              {v.weightGrams ? formatMoney(breakdown.tax) : '—'}
+              {v.weightGrams && !tax.inclusive ? (
+                <div style={{ color: '#6b7280', fontSize: '12px' }}>{t("updatePrice.table.atCheckout")}</div>
+              ) : null}
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              <Text fontWeight="bold" tone={outranked ? "subdued" : "success"}>{formatMoney(newPrice)}</Text>
+              {fixedPrice ? (
+                <Badge tone="info">{t("updatePrice.table.fixedPrice")}</Badge>
+              ) : priced && breakdown.unrounded !== newPrice ? (
+                <div style={{ color: '#6b7280', fontSize: '12px' }}>
+                  {t("updatePrice.table.beforeRounding", { amount: formatMoney(breakdown.unrounded) })}
+                </div>
+              ) : null}
+              {violations.map((violation) => (
+                <div key={violation.rule}>
+                  <Badge tone="critical">{describeViolation(violation, i18n)}</Badge>
+                </div>
+              ))}
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              {!priced || compareAtPrice === undefined ? (
+                v.compareAtPrice != null ? formatMoney(v.compareAtPrice) : '—'
+              ) : compareAtPrice === null ? (
+                <Text tone="subdued" as="span">
+                  {v.compareAtPrice != null ? <s>{formatMoney(v.compareAtPrice)}</s> : '—'} {t("updatePrice.table.cleared")}
+                </Text>
+              ) : (
+                <Text as="span"><s>{formatMoney(compareAtPrice)}</s></Text>
+              )}
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              <Button variant="plain" onClick={() => openOverride(v)}>
+                {t("updatePrice.overrides.edit")}
+              </Button>
+            </IndexTable.Cell>
+          </IndexTable.Row>
+        );
+      });
     });
   });
 
@@ -313,23 +1068,47 @@ export default function UpdatePrice() {
             >
               <BlockStack gap="200">
                 <Text as="h1" variant="heading2xl">
-                  Jewellery Price Manager
+                  {t("app.title")}
                 </Text>
                 <Text as="p" variant="bodyLg">
-                  The command center for automating your daily gold and silver pricing updates.
+                  {t("app.tagline")}
                 </Text>
               </BlockStack>
             </div>
           </Layout.Section>
 
+          {[
+            ["weightErrors", weightErrors],
+            ["purityErrors", purityErrors],
+          ].map(([key, errors]) => errors.length > 0 && (
+            <Layout.Section key={key}>
+              <Banner
+                tone="warning"
+                title={t(`updatePrice.${key}.title`, { count: errors.length })}
+              >
+                <BlockStack gap="100">
+                  {errors.slice(0, 10).map((e) => (
+                    <Text as="p" key={e.variantId}>
+                      {e.title} · {e.variantTitle === 'Default Title' ? t("updatePrice.standardVariant") : e.variantTitle}: {e.error}
+                    </Text>
+                  ))}
+                  {errors.length > 10 && (
+                    <Text as="p" tone="subdued">{t("updatePrice.weightErrors.more", { count: errors.length - 10 })}</Text>
+                  )}
+                </BlockStack>
+              </Banner>
+            </Layout.Section>
+          ))}
+
           {/* 2. Collection Selector */}
           <Layout.Section>
             <Card>
               <BlockStack gap="400">
                 <InlineStack align="space-between" blockAlign="center">
                   <BlockStack gap="050">
-                    <Text variant="headingMd" as="h2">Select Collections</Text>
-                    <Text variant="bodySm" tone="subdued">Choose collections to manage rates</Text>
+                    <Text variant="headingMd" as="h2">{t("updatePrice.collections.title")}</Text>
+                    <Text variant="bodySm" tone="subdued">{t("updatePrice.collections.subtitle")}</Text>
+                    <Text variant="bodySm" tone="subdued">{t("updatePrice.collections.loaded", counts)}</Text>
                   </BlockStack>
                   <InlineStack gap="200">
                     {/* 
@@ -338,14 +1117,14 @@ export default function UpdatePrice() {
                            2. Done button toggles between "Done" (Primary) and "Re-select" (Secondary/Normal)
                         */}
                     <Button variant="plain" onClick={toggleSelectAll} disabled={selectionDone}>
-                      {allSelected ? "Deselect All" : "Select All"}
+                      {allSelected ? t("updatePrice.collections.deselectAll") : t("updatePrice.collections.selectAll")}
                     </Button>
                     <Button
                       variant={selectionDone ? "secondary" : "primary"}
                       onClick={selectionDone ? handleReselect : handleSelectionDone}
                       disabled={selectedIds.length === 0}
                     >
-                      {selectionDone ? "Re-select" : "Done"}
+                      {selectionDone ? t("updatePrice.collections.reselect") : t("updatePrice.collections.done")}
                     </Button>
                   </InlineStack>
                 </InlineStack>
@@ -373,7 +1152,7 @@ export default function UpdatePrice() {
                    ANIMATED BOTTOM TEXT
                 */}
                 <div className={`fade-message ${selectedIds.length > 0 ? "hidden" : ""}`}>
-                  <Text tone="subdued" alignment="center">Please select at least one collection to begin.</Text>
+                  <Text tone="subdued" alignment="center">{t("updatePrice.collections.empty")}</Text>
                 </div>
 
               </BlockStack>
@@ -384,8 +1163,17 @@ export default function UpdatePrice() {
           {selectionDone && selectedIds.length > 0 && (
             <Layout.Section>
               <div style={{ marginBottom: '20px' }}>
-                <Text variant="headingMd" as="h2">Set Metal Rates</Text>
-                <Text tone="subdued">Click a card to update rate & markup</Text>
+                <InlineStack align="space-between" blockAlign="center">
+                  <BlockStack>
+                    <Text variant="headingMd" as="h2">{t("updatePrice.rates.title")}</Text>
+                    <Text tone="subdued">{t("updatePrice.rates.subtitle")}</Text>
+                  </BlockStack>
+                  {rateProvider !== "manual" && (
+                    <Button icon={RefreshIcon} onClick={handleFetchRates} loading={isFetchingRates}>
+                      {t("updatePrice.rates.fetchLive")}
+                    </Button>
+                  )}
+                </InlineStack>
               </div>
 
               <Grid>
@@ -393,6 +1181,12 @@ export default function UpdatePrice() {
                   const style = getThemeStyles(c.title);
                   const conf = pricing[c.id];
                   const isInvalid = !conf || conf.ratePerGram <= 0;
+                  const live = conf?.metal ? metalRates[conf.metal] : null;
+                  const rateChange = rateChangePercent(conf);
+                  const rateJumped =
+                    rateChange !== null &&
+                    guardrails.maxRateChangePercent != null &&
+                    Math.abs(rateChange) > guardrails.maxRateChangePercent;
 
                   const finalStyle = isInvalid
                     ? { ...style, background: '#fee2e2', borderColor: '#ef4444', color: '#b91c1c' }
@@ -422,13 +1216,84 @@ export default function UpdatePrice() {
 
                           <div>
                             <Text variant="headingXl" as="p">
-                              ₹{conf?.ratePerGram || 0}
+                              {formatMoney(conf?.ratePerGram || 0)}
                               <span style={{ fontSize: '14px', fontWeight: 'normal', opacity: 0.7 }}>/g</span>
                             </Text>
+                            {conf && formatQuote(conf, exchangeRates, i18n) && (
+                              <Text variant="bodyXs" tone="subdued">
+                                {t("updatePrice.rates.quoted", { quote: formatQuote(conf, exchangeRates, i18n) })}
+                              </Text>
+                            )}
+                            {conf?.purity && (
+                              <Text variant="bodyXs" tone="subdued">
+                                {t("updatePrice.rates.fineRate", { purity: conf.purity })}
+                              </Text>
+                            )}
                           </div>
 
+                          {rateJumped && (
+                            <Badge tone="critical">
+                              {t("updatePrice.rates.rateChange", { value: signed(rateChange) })}
+                            </Badge>
+                          )}
+
+                          {conf?.metal && (
+                            <Text variant="bodyXs" tone="subdued">
+                              {live
+                                ? t("updatePrice.rates.live", {
+                                    metal: conf.metal,
+                                    source: live.source,
+                                    date: formatDateTime(live.fetchedAt),
+                                  })
+                                : t("updatePrice.rates.followsNotFetched", { metal: conf.metal })}
+                            </Text>
+                          )}
+
+                          {conf?.makingChargeType && conf.makingChargeType !== "none" && (
+                            <InlineStack align="space-between">
+                              <Text variant="bodySm">{t("updatePrice.rates.making")}</Text>
+                              <Text variant="bodySm">{formatMakingCharge(conf, i18n)}</Text>
+                            </InlineStack>
+                          )}
+
+                          {conf?.priority ? (
+                            <InlineStack align="space-between">
+                              <Text variant="bodySm">{t("updatePrice.rates.priority")}</Text>
+                              <Text variant="bodySm">{conf.priority}</Text>
+                            </InlineStack>
+                          ) : null}
+
+                          {conf?.compareAtPolicy && conf.compareAtPolicy !== "keep" && (
+                            <InlineStack align="space-between">
+                              <Text variant="bodySm">{t("updatePrice.rates.compareAt")}</Text>
+                              <Text variant="bodySm">{formatCompareAtPolicy(conf, i18n)}</Text>
+                            </InlineStack>
+                          )}
+
+                          {conf?.roundingRule && conf.roundingRule !== "none" && (
+                            <InlineStack align="space-between">
+                              <Text variant="bodySm">{t("updatePrice.rates.rounding")}</Text>
+                              <Text variant="bodySm">
+                                {roundingRuleLabel(conf.roundingRule, i18n)}, {t(`updatePrice.rounding.directions.${conf.roundingDirection}`)}
+                              </Text>
+                            </InlineStack>
+                          )}
+
+                          {[conf?.taxMetalPercent, conf?.taxMakingPercent, conf?.taxStonePercent].some((v) => v != null) && (
+                            <InlineStack align="space-between">
+                              <Text variant="bodySm">{t("updatePrice.rates.tax")}</Text>
+                              <Text variant="bodySm">
+                                {t("updatePrice.rates.taxRates", {
+                                  metal: conf.taxMetalPercent ?? tax.metalPercent,
+                                  making: conf.taxMakingPercent ?? tax.makingPercent,
+                                  stone: conf.taxStonePercent ?? tax.stonePercent,
+                                })}
+                              </Text>
+                            </InlineStack>
+                          )}
+
                           <InlineStack align="space-between">
-                            <Text variant="bodySm">Markup:</Text>
+                            <Text variant="bodySm">{t("updatePrice.rates.markup")}</Text>
                             <Badge tone={isInvalid ? 'critical' : 'info'}>
                               {conf?.percent > 0 ? '+' : ''}{conf?.percent}%
                             </Badge>
@@ -438,7 +1303,7 @@ export default function UpdatePrice() {
                             <div style={{ marginTop: 'auto', paddingTop: '8px', borderTop: '1px solid rgba(0,0,0,0.1)' }}>
                               <InlineStack gap="100" align="start">
                                 <Icon source={AlertCircleIcon} tone="critical" />
-                                <Text variant="bodyxs" tone="critical">Set rate to enable updates</Text>
+                                <Text variant="bodyxs" tone="critical">{t("updatePrice.rates.missing")}</Text>
                               </InlineStack>
                             </div>
                           )}
@@ -451,6 +1316,51 @@ export default function UpdatePrice() {
             </Layout.Section>
           )}
 
+          {/* Products the last price update couldn't write */}
+          {showJobResults && (
+            <Layout.Section>
+              <Banner
+                tone="critical"
+                title={job.status === "failed"
+                  ? t("updatePrice.results.stopped", { updated: job.updated })
+                  : t("updatePrice.results.title", { count: jobFailures.length, updated: job.updated })}
+                action={{
+                  content: t("updatePrice.results.retry", { count: job.failedChanges.length }),
+                  onAction: handleRetryFailed,
+                  disabled: isUpdating || job.failedChanges.length === 0,
+                }}
+                secondaryAction={{
+                  content: t("updatePrice.results.download"),
+                  onAction: handleDownloadErrorReport,
+                }}
+                onDismiss={() => setDismissedJobId(job.id)}
+              >
+                <BlockStack gap="200">
+                  {job.status === "failed" && (
+                    <Text as="p">{t("updatePrice.job.failed", { error: job.error })}</Text>
+                  )}
+                  {jobFailures.slice(0, 10).map((f) => (
+                    <BlockStack gap="050" key={f.key}>
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="span" fontWeight="semibold">{f.title}</Text>
+                        {f.variants > 0 && (
+                          <Badge>{t("updatePrice.results.variants", { count: f.variants })}</Badge>
+                        )}
+                        {f.rejected && <Badge tone="attention">{t("updatePrice.results.notRetried")}</Badge>}
+                      </InlineStack>
+                      {f.messages.map((message) => (
+                        <Text as="p" tone="subdued" variant="bodySm" key={message}>{message}</Text>
+                      ))}
+                    </BlockStack>
+                  ))}
+                  {jobFailures.length > 10 && (
+                    <Text as="p" tone="subdued">{t("updatePrice.results.more", { count: jobFailures.length - 10 })}</Text>
+                  )}
+                </BlockStack>
+              </Banner>
+            </Layout.Section>
+          )}
+
           {/* 4. Table Section */}
           {selectionDone && selectedIds.length > 0 && (
             <Layout.Section>
@@ -458,35 +1368,87 @@ export default function UpdatePrice() {
                 <div style={{ padding: '16px 20px', borderBottom: '1px solid #e1e3e5' }}>
                   <InlineStack align="space-between" blockAlign="center">
                     <BlockStack gap="050">
-                      <Text variant="headingMd">Price Preview</Text>
+                      <Text variant="headingMd">{t("updatePrice.preview.title")}</Text>
                       <Text tone="subdued" variant="bodySm">
-                        Last updated: {lastUpdated.toLocaleTimeString()}
+                        {t("updatePrice.preview.lastUpdated", { time: formatTime(lastUpdated) })}
                       </Text>
+                      {jobActive && (
+                        <div style={{ width: 320 }}>
+                          <BlockStack gap="100">
+                            <Text variant="bodySm">
+                              {job.status === "queued"
+                                ? t("updatePrice.job.waiting")
+                                : t("updatePrice.job.progress", {
+                                    processed: job.processed,
+                                    total: job.total,
+                                    progress: job.progress,
+                                  })}
+                            </Text>
+                            <ProgressBar progress={job.progress} size="small" tone="primary" />
+                          </BlockStack>
+                        </div>
+                      )}
+                      {flaggedChanges.length > 0 && (
+                        <Text tone="critical" variant="bodySm">
+                          {t("updatePrice.guardrails.flaggedCount", { count: flaggedChanges.length })}
+                        </Text>
+                      )}
+                      {sharedVariants.size > 0 && (
+                        <Text tone="subdued" variant="bodySm">
+                          {t("updatePrice.shared.summary", { count: sharedVariants.size })}
+                        </Text>
+                      )}
+                      {Object.keys(importedOverrides).length > 0 && (
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text tone="subdued" variant="bodySm">
+                            {t("updatePrice.import.overridesActive", { count: Object.keys(importedOverrides).length })}
+                          </Text>
+                          <Button variant="plain" onClick={() => setImportedOverrides({})}>
+                            {t("updatePrice.import.clearOverrides")}
+                          </Button>
+                        </InlineStack>
+                      )}
                     </BlockStack>
-                    <Button
-                      variant="primary"
-                      size="large"
-                      onClick={handleApplyPrices}
-                      loading={isUpdating}
-                      disabled={hasInvalidPricing || stats.totalProducts === 0}
-                    >
-                      Update Prices
-                    </Button>
+                    <InlineStack gap="200" blockAlign="center">
+                      <Button icon={ImportIcon} onClick={() => setImportOpen(true)}>
+                        {t("updatePrice.import.open")}
+                      </Button>
+                      <Button icon={ExportIcon} onClick={handleExportCsv} disabled={stats.totalProducts === 0}>
+                        {t("updatePrice.preview.exportCsv")}
+                      </Button>
+                      <Button
+                        variant="primary"
+                        size="large"
+                        onClick={handleApplyPrices}
+                        loading={isUpdating}
+                        disabled={hasInvalidPricing || stats.totalProducts === 0}
+                      >
+                        {t("updatePrice.preview.apply")}
+                      </Button>
+                    </InlineStack>
                   </InlineStack>
                 </div>
 
                 {stats.totalProducts > 0 ? (
                   <IndexTable
-                    resourceName={{ singular: 'variant', plural: 'variants' }}
+                    resourceName={{ singular: t("updatePrice.preview.variant"), plural: t("updatePrice.preview.variants") }}
                     itemCount={tableRows.length}
                     headings={[
-                      { title: 'Product' },
-                      { title: 'Collection' },
-                      { title: 'Weight' },
-                      { title: 'Rate' },
-                      { title: 'Markup' },
-                      { title: 'Current' },
-                      { title: 'New Price' },
+                      { title: t("updatePrice.table.product") },
+                      { title: t("updatePrice.table.collection") },
+                      { title: t("updatePrice.table.weight") },
+                      { title: t("updatePrice.table.purity") },
+                      { title: t("updatePrice.table.rate") },
+                      { title: t("updatePrice.table.metal") },
+                      { title: t("updatePrice.table.making") },
+                      { title: t("updatePrice.table.stones") },
+                      { title: t("updatePrice.table.markup") },
+                      { title: t("updatePrice.table.current") },
+                      { title: t("updatePrice.table.preTax") },
+                      { title: t("updatePrice.table.tax") },
+                      { title: tax.inclusive ? t("updatePrice.table.newPriceInclTax") : t("updatePrice.table.newPriceExclTax") },
+                      { title: t("updatePrice.table.compareAt") },
+                      { title: t("updatePrice.overrides.column") },
                     ]}
                     selectable={false}
                   >
@@ -494,7 +1456,7 @@ export default function UpdatePrice() {
                   </IndexTable>
                 ) : (
                   <div style={{ padding: '32px', textAlign: 'center' }}>
-                    <Text tone="subdued">No variants found in selected collections.</Text>
+                    <Text tone="subdued">{t("updatePrice.preview.empty")}</Text>
                   </div>
                 )}
               </Card>
@@ -507,38 +1469,370 @@ export default function UpdatePrice() {
         <Modal
           open={!!modalCollectionId}
           onClose={() => setModalCollectionId(null)}
-          title="Configure Pricing"
-          primaryAction={{ content: 'Save', onAction: handleSavePricing }}
-          secondaryAction={{ content: 'Cancel', onAction: () => setModalCollectionId(null) }}
+          title={t("updatePrice.modal.title")}
+          primaryAction={{ content: t("common.save"), onAction: handleSavePricing }}
+          secondaryAction={{ content: t("common.cancel"), onAction: () => setModalCollectionId(null) }}
         >
           <Modal.Section>
             <FormLayout>
               <Text>
-                Setting rates for <strong>{collections.find(c => c.id === modalCollectionId)?.title}</strong>
+                {t("updatePrice.modal.settingRatesFor")}{" "}
+                <strong>{collections.find(c => c.id === modalCollectionId)?.title}</strong>
               </Text>
+              <Select
+                label={t("updatePrice.modal.liveRate")}
+                options={[
+                  { label: t("updatePrice.modal.liveRateNone"), value: "" },
+                  ...METALS.map((m) => ({
+                    label: `${t("updatePrice.modal.followMetal", { metal: m })}${
+                      metalRates[m] ? ` (${formatMoney(metalRates[m].ratePerGram)}/g)` : ""
+                    }`,
+                    value: m,
+                  })),
+                ]}
+                value={modalMetal}
+                onChange={handleModalMetalChange}
+                helpText={t("updatePrice.modal.liveRateHelp")}
+              />
               <FormLayout.Group>
                 <TextField
-                  label="Rate per gram (₹)"
+                  label={t("updatePrice.modal.rate")}
                   type="number"
                   value={modalRate}
                   onChange={setModalRate}
                   autoComplete="off"
-                  prefix="₹"
+                  prefix={modalQuoteCurrency || currencySymbol}
+                  helpText={
+                    modalQuoteUnit === "gram" && !modalQuoteCurrency
+                      ? t("updatePrice.modal.rateHelp")
+                      : modalRatePerGram !== null
+                        ? `= ${formatMoney(modalRatePerGram)}/g`
+                        : t("updatePrice.modal.missingExchangeRate", { currency: modalQuoteCurrency })
+                  }
                 />
+                <Select
+                  label={t("updatePrice.modal.quoted")}
+                  options={Object.keys(QUOTE_UNITS).map((unit) => ({
+                    label: t(`updatePrice.quoteUnits.${unit}`),
+                    value: unit,
+                  }))}
+                  value={modalQuoteUnit}
+                  onChange={setModalQuoteUnit}
+                />
+                <Select
+                  label={t("updatePrice.modal.currency")}
+                  options={[
+                    { label: t("updatePrice.modal.shopCurrency", { currency }), value: "" },
+                    ...Object.entries(exchangeRates).map(([code, rate]) => ({
+                      label: `${code} (${formatMoney(rate)})`,
+                      value: code,
+                    })),
+                  ]}
+                  value={modalQuoteCurrency}
+                  onChange={setModalQuoteCurrency}
+                />
+              </FormLayout.Group>
+              <FormLayout.Group>
                 <TextField
-                  label="Markup / Increment (%)"
+                  label={t("updatePrice.modal.markup")}
                   type="number"
                   value={modalPercent}
                   onChange={setModalPercent}
                   autoComplete="off"
                   suffix="%"
-                  helpText="Example: 10% adds 10% on top of calculated gold value."
+                  helpText={t("updatePrice.modal.markupHelp")}
+                />
+                <TextField
+                  label={t("updatePrice.modal.minPrice")}
+                  type="number"
+                  value={modalMinPrice}
+                  onChange={setModalMinPrice}
+                  autoComplete="off"
+                  prefix={currencySymbol}
+                  helpText={t("updatePrice.modal.minPriceHelp")}
+                />
+                <TextField
+                  label={t("updatePrice.modal.priority")}
+                  type="number"
+                  step={1}
+                  value={modalPriority}
+                  onChange={setModalPriority}
+                  autoComplete="off"
+                  helpText={t("updatePrice.modal.priorityHelp")}
                 />
               </FormLayout.Group>
+              <TextField
+                label={t("updatePrice.modal.purity")}
+                value={modalPurity}
+                onChange={setModalPurity}
+                autoComplete="off"
+                placeholder={t("updatePrice.modal.purityPlaceholder")}
+                helpText={t("updatePrice.modal.purityHelp")}
+              />
+              <FormLayout.Group>
+                <Select
+                  label={t("updatePrice.modal.makingCharge")}
+                  options={MAKING_CHARGE_TYPES.map((type) => ({
+                    label: t(`updatePrice.making.types.${type}`, { currency: currencySymbol }),
+                    value: type,
+                  }))}
+                  value={modalMakingType}
+                  onChange={setModalMakingType}
+                />
+                <TextField
+                  label={t("updatePrice.modal.makingValue")}
+                  type="number"
+                  value={modalMakingValue}
+                  onChange={setModalMakingValue}
+                  autoComplete="off"
+                  disabled={modalMakingType === "none"}
+                  prefix={modalMakingType === "percent" ? undefined : currencySymbol}
+                  suffix={modalMakingType === "percent" ? "%" : modalMakingType === "per_gram" ? "/g" : undefined}
+                />
+                <TextField
+                  label={t("updatePrice.modal.makingMin")}
+                  type="number"
+                  value={modalMakingMin}
+                  onChange={setModalMakingMin}
+                  autoComplete="off"
+                  disabled={modalMakingType === "none"}
+                  prefix={currencySymbol}
+                  helpText={t("updatePrice.modal.makingMinHelp")}
+                />
+                <TextField
+                  label={t("updatePrice.modal.makingDiscount")}
+                  type="number"
+                  value={modalMakingDiscount}
+                  onChange={setModalMakingDiscount}
+                  autoComplete="off"
+                  disabled={modalMakingType === "none"}
+                  suffix="%"
+                  helpText={t("updatePrice.modal.makingDiscountHelp")}
+                />
+              </FormLayout.Group>
+              <FormLayout.Group>
+                <Select
+                  label={t("updatePrice.modal.rounding")}
+                  options={ROUNDING_RULES.map((rule) => ({ label: roundingRuleLabel(rule, i18n), value: rule }))}
+                  value={modalRoundingRule}
+                  onChange={setModalRoundingRule}
+                  helpText={t("updatePrice.modal.roundingHelp")}
+                />
+                <Select
+                  label={t("updatePrice.modal.roundingDirection")}
+                  options={ROUNDING_DIRECTIONS.map((d) => ({ label: t(`updatePrice.rounding.directions.${d}`), value: d }))}
+                  value={modalRoundingDirection}
+                  onChange={setModalRoundingDirection}
+                  disabled={modalRoundingRule === "none"}
+                />
+              </FormLayout.Group>
+              <FormLayout.Group>
+                <Select
+                  label={t("updatePrice.modal.compareAt")}
+                  options={COMPARE_AT_POLICIES.map((p) => ({ label: t(`updatePrice.compareAt.policies.${p}`), value: p }))}
+                  value={modalCompareAtPolicy}
+                  onChange={setModalCompareAtPolicy}
+                  helpText={t(`updatePrice.compareAt.help.${modalCompareAtPolicy}`)}
+                />
+                <TextField
+                  label={t("updatePrice.modal.compareAtPercent")}
+                  type="number"
+                  value={modalCompareAtPercent}
+                  onChange={setModalCompareAtPercent}
+                  autoComplete="off"
+                  disabled={modalCompareAtPolicy !== "markup"}
+                  suffix="%"
+                />
+              </FormLayout.Group>
+              <Checkbox
+                label={t("updatePrice.modal.taxOverride")}
+                checked={modalTaxOverride}
+                onChange={setModalTaxOverride}
+                helpText={t("updatePrice.modal.taxOverrideHelp", {
+                  metal: tax.metalPercent,
+                  making: tax.makingPercent,
+                  stone: tax.stonePercent,
+                })}
+              />
+              {modalTaxOverride && (
+                <FormLayout.Group>
+                  <TextField
+                    label={t("updatePrice.modal.taxMetal")}
+                    type="number"
+                    value={modalTaxMetal}
+                    onChange={setModalTaxMetal}
+                    autoComplete="off"
+                    suffix="%"
+                  />
+                  <TextField
+                    label={t("updatePrice.modal.taxMaking")}
+                    type="number"
+                    value={modalTaxMaking}
+                    onChange={setModalTaxMaking}
+                    autoComplete="off"
+                    suffix="%"
+                  />
+                  <TextField
+                    label={t("updatePrice.modal.taxStone")}
+                    type="number"
+                    value={modalTaxStone}
+                    onChange={setModalTaxStone}
+                    autoComplete="off"
+                    suffix="%"
+                  />
+                </FormLayout.Group>
+              )}
             </FormLayout>
           </Modal.Section>
         </Modal>
 
+        {/* Lock, fixed price or extra markup for one variant */}
+        <Modal
+          open={!!overrideTarget}
+          onClose={() => setOverrideTarget(null)}
+          title={t("updatePrice.overrides.title")}
+          primaryAction={{ content: t("common.save"), onAction: handleSaveOverride }}
+          secondaryActions={[{ content: t("common.cancel"), onAction: () => setOverrideTarget(null) }]}
+        >
+          <Modal.Section>
+            <FormLayout>
+              <Text as="p" fontWeight="semibold">
+                {overrideTarget?.title} · {overrideTarget?.variantTitle === 'Default Title' ? t("updatePrice.standardVariant") : overrideTarget?.variantTitle}
+              </Text>
+              <Checkbox
+                label={t("updatePrice.overrides.lockVariant")}
+                helpText={t("updatePrice.overrides.lockVariantHelp")}
+                checked={overrideLockVariant}
+                onChange={setOverrideLockVariant}
+              />
+              <Checkbox
+                label={t("updatePrice.overrides.lockProduct", { product: overrideTarget?.title ?? "" })}
+                checked={overrideLockProduct}
+                onChange={setOverrideLockProduct}
+              />
+              <Select
+                label={t("updatePrice.overrides.pricingCollection")}
+                helpText={t("updatePrice.overrides.pricingCollectionHelp")}
+                options={[
+                  { label: t("updatePrice.overrides.pricingCollectionAuto"), value: "" },
+                  ...collections
+                    .filter((c) => c.products.some((p) => p.productId === overrideTarget?.productId))
+                    .map((c) => ({ label: c.title, value: c.id })),
+                ]}
+                value={overridePricingCollection}
+                onChange={setOverridePricingCollection}
+              />
+              <FormLayout.Group>
+                <TextField
+                  label={t("updatePrice.overrides.fixedPrice")}
+                  type="number"
+                  value={overrideFixedPrice}
+                  onChange={setOverrideFixedPrice}
+                  autoComplete="off"
+                  prefix={currencySymbol}
+                  helpText={t("updatePrice.overrides.fixedPriceHelp")}
+                />
+                <TextField
+                  label={t("updatePrice.overrides.extraPercent")}
+                  type="number"
+                  value={overrideExtraPercent}
+                  onChange={setOverrideExtraPercent}
+                  autoComplete="off"
+                  suffix="%"
+                  helpText={t("updatePrice.overrides.extraPercentHelp")}
+                />
+              </FormLayout.Group>
+            </FormLayout>
+          </Modal.Section>
+        </Modal>
+
+        {/* CSV import of collection rates or variant overrides */}
+        <Modal
+          open={importOpen}
+          onClose={closeImport}
+          title={t("updatePrice.import.title")}
+          primaryAction={{
+            content: t("updatePrice.import.apply"),
+            onAction: handleApplyImport,
+            disabled: !importResult?.kind || importResult.errors.length > 0 || importResult.rows === 0,
+          }}
+          secondaryActions={[{ content: t("common.cancel"), onAction: closeImport }]}
+        >
+          <Modal.Section>
+            <BlockStack gap="300">
+              <Text as="p">{t("updatePrice.import.intro")}</Text>
+              <Text as="p" tone="subdued" variant="bodySm">{t("updatePrice.import.ratesColumns")}</Text>
+              <Text as="p" tone="subdued" variant="bodySm">{t("updatePrice.import.variantsColumns")}</Text>
+              <DropZone
+                accept=".csv,text/csv,application/vnd.ms-excel"
+                type="file"
+                allowMultiple={false}
+                onDropAccepted={handleImportFile}
+              >
+                <DropZone.FileUpload
+                  actionTitle={t("updatePrice.import.chooseFile")}
+                  actionHint={importFileName || t("updatePrice.import.dropHint")}
+                />
+              </DropZone>
+              {importResult?.kind && (
+                <Text as="p">
+                  {t(`updatePrice.import.summary.${importResult.kind}`, { count: importResult.rows })}
+                </Text>
+              )}
+              {importResult?.errors.length > 0 && (
+                <Banner tone="critical" title={t("updatePrice.import.errorsTitle", { count: importResult.errors.length })}>
+                  <BlockStack gap="100">
+                    {importResult.errors.slice(0, 10).map((e) => (
+                      <Text as="p" key={`${e.line}-${e.code}`}>
+                        {t("updatePrice.import.errorLine", {
+                          line: e.line,
+                          message: t(`updatePrice.import.errors.${e.code}`, { value: e.value ?? "" }),
+                        })}
+                      </Text>
+                    ))}
+                    {importResult.errors.length > 10 && (
+                      <Text as="p">{t("updatePrice.weightErrors.more", { count: importResult.errors.length - 10 })}</Text>
+                    )}
+                  </BlockStack>
+                </Banner>
+              )}
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
+
+        {/* Confirmation for changes that break a safety limit */}
+        <Modal
+          open={!!confirmation}
+          onClose={() => setConfirmation(null)}
+          title={t("updatePrice.guardrails.confirmTitle")}
+          primaryAction={{ content: t("updatePrice.guardrails.confirmPush"), destructive: true, onAction: handleConfirmChanges }}
+          secondaryActions={[{ content: t("common.cancel"), onAction: () => setConfirmation(null) }]}
+        >
+          <Modal.Section>
+            <BlockStack gap="300">
+              <Text as="p">
+                {t("updatePrice.guardrails.confirmIntro", { count: confirmation?.violations.length ?? 0 })}
+              </Text>
+              {confirmation?.violations.slice(0, 10).map((c) => (
+                <BlockStack gap="050" key={c.variantId}>
+                  <Text as="p" fontWeight="semibold">
+                    {c.title} · {c.variantTitle === 'Default Title' ? t("updatePrice.standardVariant") : c.variantTitle}:{" "}
+                    {c.oldPrice != null ? formatMoney(c.oldPrice) : '—'} → {formatMoney(c.newPrice)}
+                  </Text>
+                  <Text as="p" tone="critical" variant="bodySm">
+                    {c.violations.map((violation) => describeViolation(violation, i18n)).join(" · ")}
+                  </Text>
+                </BlockStack>
+              ))}
+              {confirmation?.violations.length > 10 && (
+                <Text as="p" tone="subdued">
+                  {t("updatePrice.weightErrors.more", { count: confirmation.violations.length - 10 })}
+                </Text>
+              )}
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
+
         {/* Toast */}
         {toast && (
           <Toast content={toast.message} error={toast.error} onDismiss={() => setToast(null)} />
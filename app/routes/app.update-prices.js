@@ -1,8 +1,43 @@
 import shopify from "../shopify.server";
-import { updateVariantPrices } from "../utils/shopify-price-updater.server";
+import {
+  fetchProductCollections,
+  fetchVariantSnapshot,
+  planPriceUpdate,
+} from "../utils/shopify-price-updater.server";
+import { getStaffUser } from "../utils/price-history.server";
+import { enqueuePriceJob, getPriceJob } from "../utils/price-jobs.server";
+import { findGuardrailViolations } from "../utils/jewelry-pricing";
+import { getPricingSettings } from "../utils/pricing-settings.server";
+import { getPriceOverrides } from "../utils/price-overrides.server";
+import { getShopGuardrails, getShopSettings } from "../utils/shop-settings.server";
 
+/**
+ * Progress of a queued price update: GET ?job=<id>.
+ */
+export async function loader({ request }) {
+  const { session } = await shopify.authenticate.admin(request);
+  const id = new URL(request.url).searchParams.get("job");
+  const job = id ? await getPriceJob(session.shop, id) : null;
+  if (!job) throw new Response("Job not found", { status: 404 });
+  return { job };
+}
+
+/**
+ * Queue a change set (`changes`, JSON) to be pushed to Shopify by the job
+ * worker, and return the job (`job.id` to poll with the loader). Large
+ * catalogs take longer than a request may last, so nothing is sent here.
+ *
+ * With `dryRun=true` nothing is written: the change set goes through the
+ * same checks as a real run and the response lists what would be
+ * `updates`, `skipped` and `rejected`, plus the safety-limit `violations`
+ * (`needsConfirmation` when a real run would stop for them).
+ *
+ * Locked variants, prices other than a variant's fixed price, and changes
+ * whose collectionId isn't one of the product's collections with saved
+ * pricing are rejected in both modes.
+ */
 export async function action({ request }) {
-  const { admin } = await shopify.authenticate.admin(request);
+  const { admin, session, sessionToken } = await shopify.authenticate.admin(request);
 
   const formData = await request.formData();
   const raw = formData.get("changes");
@@ -28,6 +63,60 @@ export async function action({ request }) {
     };
   }
 
-  const result = await updateVariantPrices(admin, changes);
-  return result; // React Router will JSON-serialize this
-}
\ No newline at end of file
+  // Re-check the safety limits against live prices, saved settings and the
+  // collections each product is really in, so a crafted request can't skip
+  // them; breaking changes need confirmGuardrails
+  const [settings, pricing, overrides, snapshot] = await Promise.all([
+    getShopSettings(session.shop),
+    getPricingSettings(session.shop),
+    getPriceOverrides(session.shop),
+    fetchVariantSnapshot(admin, changes.map((c) => c?.variantId)),
+  ]);
+  const collectionsByProduct = await fetchProductCollections(
+    admin,
+    changes.map((c) => c?.productId),
+    Object.keys(pricing),
+  );
+  const violations = findGuardrailViolations(changes, {
+    pricing,
+    guardrails: getShopGuardrails(settings),
+    currentPrices: snapshot.prices,
+    collectionsByProduct,
+  });
+  const needsConfirmation = violations.length > 0 && formData.get("confirmGuardrails") !== "true";
+
+  if (formData.get("dryRun") === "true") {
+    const { updates, skipped, rejected } = planPriceUpdate(changes, snapshot, overrides, collectionsByProduct);
+    return {
+      ok: rejected.length === 0 && !needsConfirmation,
+      dryRun: true,
+      updated: 0,
+      errors: [],
+      updates,
+      skipped,
+      rejected,
+      violations,
+      needsConfirmation,
+    };
+  }
+
+  if (needsConfirmation) {
+    return {
+      ok: false,
+      error: `${violations.length} changes break a safety limit and need confirmation`,
+      updated: 0,
+      errors: [],
+      violations,
+    };
+  }
+
+  const plan = planPriceUpdate(changes, snapshot, overrides, collectionsByProduct);
+  const job = await enqueuePriceJob({
+    shop: session.shop,
+    staff: getStaffUser({ session, sessionToken }),
+    changes,
+    plan,
+  });
+
+  return { ok: true, job, skipped: plan.skipped.length }; // React Router will JSON-serialize this
+}
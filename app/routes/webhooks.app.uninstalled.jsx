@@ -1,5 +1,7 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { disablePricingSchedule } from "../utils/pricing-scheduler.server";
+import { cancelPriceJobs } from "../utils/price-jobs.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +14,10 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Without a session the scheduler and job worker can only fail for this
+  // shop; the rest of its data is removed on SHOP_REDACT
+  await disablePricingSchedule(shop);
+  await cancelPriceJobs(shop);
+
   return new Response();
 };
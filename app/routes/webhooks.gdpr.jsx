@@ -1,5 +1,14 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { deletePricingSettings } from "../utils/pricing-settings.server";
+import { deletePriceHistory } from "../utils/price-history.server";
+import { deletePricingSchedule } from "../utils/pricing-scheduler.server";
+import { deleteMetalRates } from "../utils/metal-rates.server";
+import { deleteShopSettings } from "../utils/shop-settings.server";
+import { deleteStoneRates } from "../utils/stone-rates.server";
+import { deleteExchangeRates } from "../utils/exchange-rates.server";
+import { deletePriceOverrides } from "../utils/price-overrides.server";
+import { deletePriceJobs } from "../utils/price-jobs.server";
 
 export const action = async ({ request }) => {
     // 1. Validate the webhook request.
@@ -22,6 +31,15 @@ export const action = async ({ request }) => {
         case "SHOP_REDACT":
             console.log(`[GDPR] Shop Redact Request for ${shop}`);
             // If you store shop data, delete it here (usually 48h after uninstall).
+            await deletePricingSettings(shop);
+            await deletePriceHistory(shop);
+            await deletePricingSchedule(shop);
+            await deleteMetalRates(shop);
+            await deleteShopSettings(shop);
+            await deleteStoneRates(shop);
+            await deleteExchangeRates(shop);
+            await deletePriceOverrides(shop);
+            await deletePriceJobs(shop);
             break;
 
         default:
@@ -0,0 +1,162 @@
+// app/utils/admin-graphql.server.js
+
+// Shopify's GraphQL Admin API meters requests by query cost: every shop
+// has a bucket of points that refills at `restoreRate` per second, and a
+// query that costs more than what is left comes back THROTTLED.
+
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30 * 1000;
+// Assumed cost of a query until Shopify has reported what it costs
+const DEFAULT_QUERY_COST = 50;
+
+// @shopify/shopify-api throws HttpRequestError when no response came back
+const NETWORK_ERROR = "HttpRequestError";
+const RETRIABLE_GRAPHQL_CODES = new Set(["THROTTLED", "INTERNAL_SERVER_ERROR"]);
+
+// Cost budget per admin client: what Shopify last reported, refilled by
+// the clock, minus what calls in flight have reserved
+const budgets = new WeakMap();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function budgetFor(admin) {
+  let budget = budgets.get(admin);
+  if (!budget) {
+    budget = { maximum: null, available: null, restoreRate: null, at: 0, costs: new Map() };
+    budgets.set(admin, budget);
+  }
+  return budget;
+}
+
+// Points available now, counting the refill since the last report
+function refill(budget) {
+  if (budget.available === null) return;
+  const now = Date.now();
+  budget.available = Math.min(
+    budget.maximum,
+    budget.available + (budget.restoreRate * (now - budget.at)) / 1000,
+  );
+  budget.at = now;
+}
+
+function recordCost(budget, query, cost) {
+  if (!cost) return;
+  if (cost.requestedQueryCost != null) budget.costs.set(query, cost.requestedQueryCost);
+  const status = cost.throttleStatus;
+  if (!status) return;
+  budget.maximum = status.maximumAvailable;
+  budget.available = status.currentlyAvailable;
+  budget.restoreRate = status.restoreRate;
+  budget.at = Date.now();
+}
+
+// How long until the bucket holds `cost` points
+function waitFor(budget, cost) {
+  refill(budget);
+  if (budget.available === null || budget.available >= cost || !(budget.restoreRate > 0)) return 0;
+  return Math.ceil(((cost - budget.available) / budget.restoreRate) * 1000);
+}
+
+function graphqlErrorCodes(errors) {
+  const list = Array.isArray(errors) ? errors : errors?.graphQLErrors ?? [];
+  return list.map((e) => e?.extensions?.code).filter(Boolean);
+}
+
+// HTTP status and Retry-After (seconds) of a failed call. Clients from
+// authenticate.admin() rethrow HTTP errors as a plain Response; those from
+// unauthenticated.admin() throw the library's HttpResponseError subclasses.
+function httpFailure(err) {
+  if (err instanceof Response) {
+    return { status: err.status, retryAfter: Number(err.headers.get("Retry-After")) || null };
+  }
+  return { status: err?.response?.code ?? null, retryAfter: err?.response?.retryAfter ?? null };
+}
+
+/**
+ * Whether a failed call is worth another try, and how long to wait first.
+ * Retried: 429 and 5xx responses, network errors, and THROTTLED or
+ * INTERNAL_SERVER_ERROR GraphQL errors.
+ */
+function retryDelay(err, budget, cost, attempt) {
+  const codes = graphqlErrorCodes(err?.body?.errors);
+  const { status, retryAfter } = httpFailure(err);
+  const throttled = status === 429 || codes.includes("THROTTLED");
+  const retriable =
+    throttled ||
+    status >= 500 ||
+    err?.constructor?.name === NETWORK_ERROR ||
+    codes.some((code) => RETRIABLE_GRAPHQL_CODES.has(code));
+  if (!retriable) return null;
+
+  const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  if (!throttled) return backoff + Math.floor(Math.random() * BASE_BACKOFF_MS);
+
+  if (retryAfter > 0) return retryAfter * 1000;
+  return Math.max(waitFor(budget, cost), BASE_BACKOFF_MS);
+}
+
+/**
+ * Run an Admin GraphQL query or mutation and return its parsed body
+ * ({ data, extensions }).
+ *
+ * Calls on the same `admin` share a cost budget taken from the
+ * `extensions.cost.throttleStatus` Shopify returns: a call whose cost
+ * (as last reported for the same query) isn't available yet waits for
+ * the bucket to refill instead of being throttled. Throttled calls, 5xx
+ * responses and network errors are retried with backoff up to
+ * MAX_RETRIES times; anything else is thrown straight away.
+ *
+ * @param {import('@shopify/shopify-app-react-router/server').AdminApiContext} admin
+ * @param {string} query
+ * @param {{ variables?: Record<string, unknown> }} [options]
+ */
+export async function adminGraphql(admin, query, { variables } = {}) {
+  const budget = budgetFor(admin);
+
+  for (let attempt = 0; ; attempt++) {
+    const cost = budget.costs.get(query) ?? DEFAULT_QUERY_COST;
+    const wait = waitFor(budget, cost);
+    if (wait > 0) await sleep(wait);
+
+    // Reserve the points so parallel calls don't all count on them
+    refill(budget);
+    if (budget.available !== null) budget.available -= cost;
+
+    try {
+      const response = await admin.graphql(query, { variables });
+      const body = await response.json();
+      recordCost(budget, query, body.extensions?.cost);
+      return body;
+    } catch (err) {
+      recordCost(budget, query, err?.body?.extensions?.cost);
+      const delay = attempt < MAX_RETRIES ? retryDelay(err, budget, cost, attempt) : null;
+      if (delay === null) throw err;
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Call `fn` for every item with at most `limit` calls in flight, and
+ * return the results in the order of `items`.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,372 @@
+// app/utils/catalog.server.js
+
+import {
+  DEFAULT_WEIGHT_OPTION_NAMES,
+  parseMeasuredWeight,
+  parsePurity,
+  parsePurityFromOptions,
+  parseStone,
+  parseWeightFromOptions,
+  parseWeightMetafield,
+  readStoneFromOptions,
+} from "./jewelry-pricing";
+import { adminGraphql } from "./admin-graphql.server";
+
+// Page sizes are chosen to keep each query under Shopify's 1000-point cost
+// limit, with every weight source turned on.
+const COLLECTIONS_PAGE_SIZE = 50;
+const PRODUCTS_PAGE_SIZE = 8;
+const VARIANTS_PAGE_SIZE = 10;
+const PRODUCT_COLLECTIONS_PAGE_SIZE = 10;
+const EXTRA_VARIANTS_PAGE_SIZE = 50;
+const EXTRA_COLLECTIONS_PAGE_SIZE = 250;
+
+const DEFAULT_WEIGHT_SOURCE = {
+  order: ["option"],
+  optionNames: DEFAULT_WEIGHT_OPTION_NAMES,
+  metafield: null,
+};
+
+/**
+ * Fields read for every variant, in both the collection and the
+ * extra-variants queries. Weight fields are only requested for the sources
+ * the shop uses.
+ */
+function variantFields(weightSource) {
+  const { order, metafield } = weightSource;
+  const weightMetafield =
+    order.includes("metafield") && metafield
+      ? `weightMetafield: metafield(namespace: ${JSON.stringify(metafield.namespace)}, key: ${JSON.stringify(metafield.key)}) { value }`
+      : "";
+  const inventoryWeight = order.includes("inventory")
+    ? "inventoryItem { measurement { weight { unit value } } }"
+    : "";
+
+  return `
+    id
+    title
+    price
+    compareAtPrice
+    selectedOptions { name value }
+    purityMetafield: metafield(namespace: "custom", key: "purity") { value }
+    stoneTypeMetafield: metafield(namespace: "custom", key: "stone_type") { value }
+    stoneCaratMetafield: metafield(namespace: "custom", key: "stone_carat") { value }
+    stoneQualityMetafield: metafield(namespace: "custom", key: "stone_quality") { value }
+    ${weightMetafield}
+    ${inventoryWeight}
+  `;
+}
+
+const COLLECTIONS_QUERY = `#graphql
+  query CatalogCollections($first: Int!, $after: String) {
+    collections(first: $first, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          title
+          handle
+        }
+      }
+    }
+  }
+`;
+
+// Every product once, with the collections it is in, rather than each
+// collection's products in turn: a product in several collections is
+// fetched a single time.
+const productsQuery = (fields) => `#graphql
+  query CatalogProducts(
+    $first: Int!
+    $after: String
+    $variantsFirst: Int!
+    $collectionsFirst: Int!
+  ) {
+    products(first: $first, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          title
+          handle
+          status
+          collections(first: $collectionsFirst) {
+            pageInfo { hasNextPage endCursor }
+            edges { node { id } }
+          }
+          variants(first: $variantsFirst) {
+            pageInfo { hasNextPage endCursor }
+            edges {
+              node {
+                ${fields}
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_COLLECTIONS_QUERY = `#graphql
+  query CatalogProductCollections($id: ID!, $first: Int!, $after: String) {
+    product(id: $id) {
+      collections(first: $first, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { id } }
+      }
+    }
+  }
+`;
+
+const productVariantsQuery = (fields) => `#graphql
+  query CatalogProductVariants($id: ID!, $first: Int!, $after: String) {
+    product(id: $id) {
+      variants(first: $first, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node {
+            ${fields}
+          }
+        }
+      }
+    }
+  }
+`;
+
+async function runQuery(admin, query, variables) {
+  const body = await adminGraphql(admin, query, { variables });
+  if (body.errors?.length) {
+    throw new Error(body.errors.map((e) => e.message).join(", "));
+  }
+  return body.data;
+}
+
+/**
+ * Walk a connection page by page until `hasNextPage` is false.
+ *
+ * `fetchPage(after)` must resolve to the connection object
+ * ({ pageInfo, edges }) or null.
+ */
+async function collectEdges(fetchPage, initialConnection = null) {
+  const edges = [];
+  let connection = initialConnection ?? (await fetchPage(null));
+
+  while (connection) {
+    edges.push(...(connection.edges ?? []));
+    if (!connection.pageInfo?.hasNextPage) break;
+    connection = await fetchPage(connection.pageInfo.endCursor);
+  }
+  return edges;
+}
+
+// Options take precedence over metafields, field by field
+function readStone(variant) {
+  const fromOptions = readStoneFromOptions(variant?.selectedOptions ?? []);
+  return parseStone({
+    type: fromOptions.type ?? variant?.stoneTypeMetafield?.value,
+    carat: fromOptions.carat ?? variant?.stoneCaratMetafield?.value,
+    quality: fromOptions.quality ?? variant?.stoneQualityMetafield?.value,
+  });
+}
+
+/**
+ * Weight in grams from the first source in `weightSource.order` that has
+ * one, and which source that was.
+ *
+ * If no source has a usable weight but one had a value that couldn't be
+ * read, `weightError` says why, so the variant can be reported rather than
+ * silently skipped.
+ */
+function readWeight(variant, weightSource) {
+  let weightError = null;
+  for (const source of weightSource.order) {
+    let parsed = { grams: 0, error: null };
+    if (source === "option") {
+      parsed = parseWeightFromOptions(variant?.selectedOptions ?? [], weightSource.optionNames);
+    } else if (source === "metafield") {
+      parsed = parseWeightMetafield(variant?.weightMetafield?.value);
+    } else if (source === "inventory") {
+      parsed = { grams: parseMeasuredWeight(variant?.inventoryItem?.measurement?.weight), error: null };
+    }
+    if (parsed.grams > 0) return { weightGrams: parsed.grams, weightSource: source, weightError: null };
+    weightError ??= parsed.error;
+  }
+  return { weightGrams: 0, weightSource: null, weightError };
+}
+
+/**
+ * Purity from the variant's purity option, then its custom.purity
+ * metafield (read like a karat option). `purityError` says why a purity
+ * that is there couldn't be read.
+ */
+function readPurity(variant) {
+  const fromOptions = parsePurityFromOptions(variant?.selectedOptions ?? []);
+  if (fromOptions.purity) return { purity: fromOptions.purity, purityError: null };
+
+  const value = String(variant?.purityMetafield?.value ?? "").trim();
+  const fromMetafield = value ? parsePurity(value, { karats: true }) : null;
+  if (fromMetafield) return { purity: fromMetafield, purityError: null };
+
+  return {
+    purity: null,
+    purityError: fromOptions.error ?? (value ? `Can't read the purity metafield "${value}"` : null),
+  };
+}
+
+async function fetchAllVariants(admin, query, product) {
+  return collectEdges(
+    async (after) => {
+      const data = await runQuery(admin, query, {
+        id: product.id,
+        first: EXTRA_VARIANTS_PAGE_SIZE,
+        after,
+      });
+      return data?.product?.variants ?? null;
+    },
+    product.variants,
+  );
+}
+
+async function fetchAllCollectionIds(admin, product) {
+  return collectEdges(
+    async (after) => {
+      const data = await runQuery(admin, PRODUCT_COLLECTIONS_QUERY, {
+        id: product.id,
+        first: EXTRA_COLLECTIONS_PAGE_SIZE,
+        after,
+      });
+      return data?.product?.collections ?? null;
+    },
+    product.collections,
+  );
+}
+
+/**
+ * Every product of the shop with all of its variants and the ids of the
+ * collections it is in.
+ */
+async function fetchProducts(admin, queries) {
+  const productEdges = await collectEdges(async (after) => {
+    const data = await runQuery(admin, queries.products, {
+      first: PRODUCTS_PAGE_SIZE,
+      after,
+      variantsFirst: VARIANTS_PAGE_SIZE,
+      collectionsFirst: PRODUCT_COLLECTIONS_PAGE_SIZE,
+    });
+    return data?.products ?? null;
+  });
+
+  const products = [];
+  for (const { node: product } of productEdges) {
+    const variantEdges = product.variants?.pageInfo?.hasNextPage
+      ? await fetchAllVariants(admin, queries.productVariants, product)
+      : product.variants?.edges ?? [];
+    const collectionEdges = product.collections?.pageInfo?.hasNextPage
+      ? await fetchAllCollectionIds(admin, product)
+      : product.collections?.edges ?? [];
+    products.push({
+      ...product,
+      variants: variantEdges.map(({ node }) => node),
+      collectionIds: collectionEdges.map(({ node }) => node.id),
+    });
+  }
+  return products;
+}
+
+/**
+ * Load every collection of the shop, with every product and variant in it,
+ * following cursors at each level. Products are fetched once, with their
+ * collection ids, and each collection's list is built from them.
+ *
+ * Collections are returned in the shape the Update Price page expects:
+ * one row per variant under `products`.
+ *
+ * Weights are read from the shop's weight sources (see getShopWeightSource),
+ * or from the variant's Weight option when none are given. Variants whose
+ * weight couldn't be read are listed in `weightErrors`, those whose purity
+ * couldn't be read in `purityErrors`.
+ *
+ * @param {import('@shopify/shopify-app-react-router/server').AdminApiContext} admin
+ * @param {{ weightSource?: { order: string[]; optionNames: string[]; metafield: { namespace: string; key: string } | null } }} [options]
+ * @returns {Promise<{
+ *   collections: { id: string; title: string; products: object[] }[];
+ *   counts: { collections: number; products: number; variants: number };
+ *   weightErrors: { productId: string; variantId: string; title: string; variantTitle: string; error: string }[];
+ *   purityErrors: { productId: string; variantId: string; title: string; variantTitle: string; error: string }[];
+ * }>}
+ */
+export async function loadCatalog(admin, { weightSource = DEFAULT_WEIGHT_SOURCE } = {}) {
+  const fields = variantFields(weightSource);
+  const queries = {
+    products: productsQuery(fields),
+    productVariants: productVariantsQuery(fields),
+  };
+
+  const collectionEdges = await collectEdges(async (after) => {
+    const data = await runQuery(admin, COLLECTIONS_QUERY, {
+      first: COLLECTIONS_PAGE_SIZE,
+      after,
+    });
+    return data?.collections ?? null;
+  });
+  const productsByCollection = new Map();
+  for (const product of await fetchProducts(admin, queries)) {
+    for (const collectionId of product.collectionIds) {
+      if (!productsByCollection.has(collectionId)) productsByCollection.set(collectionId, []);
+      productsByCollection.get(collectionId).push(product);
+    }
+  }
+
+  const productIds = new Set();
+  const variantIds = new Set();
+  const collections = [];
+  const weightErrors = new Map();
+  const purityErrors = new Map();
+
+  for (const { node } of collectionEdges) {
+    const products = productsByCollection.get(node.id) ?? [];
+
+    const rows = products.flatMap((p) => {
+      productIds.add(p.id);
+      return p.variants.map((v) => {
+        variantIds.add(v.id);
+        return {
+          id: `${p.id}::${v.id}`,
+          productId: p.id,
+          variantId: v.id,
+          title: p.title,
+          variantTitle: v.title,
+          basePrice: Number(v?.price ?? 0),
+          compareAtPrice: v?.compareAtPrice != null ? Number(v.compareAtPrice) : null,
+          ...readWeight(v, weightSource),
+          ...readPurity(v),
+          stone: readStone(v),
+        };
+      });
+    });
+
+    for (const row of rows) {
+      if (row.weightError) {
+        const { productId, variantId, title, variantTitle, weightError } = row;
+        weightErrors.set(variantId, { productId, variantId, title, variantTitle, error: weightError });
+      }
+      if (row.purityError) {
+        const { productId, variantId, title, variantTitle, purityError } = row;
+        purityErrors.set(variantId, { productId, variantId, title, variantTitle, error: purityError });
+      }
+    }
+    collections.push({ id: node.id, title: node.title, products: rows });
+  }
+
+  return {
+    collections,
+    counts: {
+      collections: collections.length,
+      products: productIds.size,
+      variants: variantIds.size,
+    },
+    weightErrors: [...weightErrors.values()],
+    purityErrors: [...purityErrors.values()],
+  };
+}
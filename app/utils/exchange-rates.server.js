@@ -0,0 +1,65 @@
+// app/utils/exchange-rates.server.js
+
+import prisma from "../db.server";
+import { quoteToRatePerGram } from "./jewelry-pricing";
+import { rollRateBaseline } from "./pricing-settings.server";
+
+/**
+ * A shop's FX rates: { [currency]: shop-currency value of one unit }.
+ *
+ * @param {string} shop
+ */
+export async function getExchangeRates(shop) {
+  const rows = await prisma.exchangeRate.findMany({
+    where: { shop },
+    orderBy: { currency: "asc" },
+  });
+  return Object.fromEntries(rows.map((row) => [row.currency, row.rate]));
+}
+
+/**
+ * Replace a shop's FX rates, then re-convert the rate of every collection
+ * quoted in one of those currencies.
+ *
+ * Currencies must be 3-letter codes; rows with a rate of zero or less are
+ * dropped.
+ *
+ * @param {string} shop
+ * @param {Record<string, number>} rates
+ */
+export async function saveExchangeRates(shop, rates) {
+  const rows = Object.entries(rates)
+    .map(([currency, rate]) => ({ currency: currency.trim().toUpperCase(), rate: Number(rate) }))
+    .filter(({ currency, rate }) => /^[A-Z]{3}$/.test(currency) && rate > 0);
+
+  await prisma.$transaction([
+    prisma.exchangeRate.deleteMany({ where: { shop } }),
+    ...rows.map((row) => prisma.exchangeRate.create({ data: { shop, ...row } })),
+  ]);
+
+  const saved = await getExchangeRates(shop);
+  const quoted = await prisma.pricingSetting.findMany({
+    where: { shop, quoteCurrency: { in: Object.keys(saved) }, quoteValue: { not: null } },
+  });
+  for (const setting of quoted) {
+    const ratePerGram = quoteToRatePerGram({
+      value: setting.quoteValue,
+      unit: setting.quoteUnit,
+      fxRate: saved[setting.quoteCurrency],
+    });
+    if (ratePerGram === null) continue;
+    await prisma.pricingSetting.update({
+      where: { id: setting.id },
+      data: { ratePerGram, ...rollRateBaseline(setting, ratePerGram) },
+    });
+  }
+
+  return saved;
+}
+
+/**
+ * Remove a shop's FX rates (shop redact).
+ */
+export async function deleteExchangeRates(shop) {
+  return prisma.exchangeRate.deleteMany({ where: { shop } });
+}
@@ -0,0 +1,90 @@
+// app/utils/i18n.js
+
+import { useMemo } from "react";
+import { useRouteLoaderData } from "react-router";
+import en from "../locales/en.json";
+import hi from "../locales/hi.json";
+
+const MESSAGES = { en, hi };
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * The app language for a staff locale: "hi-IN" -> "hi". Anything we have
+ * no translations for falls back to English.
+ *
+ * @param {string | null | undefined} locale
+ */
+export function resolveLanguage(locale) {
+  const language = String(locale ?? "").toLowerCase().split("-")[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => node?.[part], messages);
+}
+
+/**
+ * `t(key, values)` for a locale. Keys are dotted paths into the locale's
+ * JSON file ("updatePrice.modal.title"); `{name}` placeholders are filled
+ * from `values`. Missing keys fall back to English, then to the key itself.
+ *
+ * @param {string} locale
+ * @returns {(key: string, values?: Record<string, string | number>) => string}
+ */
+export function createTranslator(locale) {
+  const messages = MESSAGES[resolveLanguage(locale)];
+  return (key, values = {}) => {
+    const template = lookup(messages, key) ?? lookup(en, key) ?? key;
+    return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+      name in values ? String(values[name]) : match,
+    );
+  };
+}
+
+/**
+ * Intl formatters for a staff locale and the shop's currency.
+ *
+ * `formatMoney(65400)` -> "₹65,400.00" for INR, "AED 65,400.00" for AED.
+ * `currencySymbol` is what the currency looks like in that locale, for
+ * text field prefixes.
+ *
+ * @param {string} locale
+ * @param {string} currency ISO 4217 code
+ */
+export function createFormatters(locale, currency) {
+  const money = new Intl.NumberFormat(locale, { style: "currency", currency });
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 3 });
+  const dateTime = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" });
+  const time = new Intl.DateTimeFormat(locale, { timeStyle: "medium" });
+
+  return {
+    currencySymbol:
+      money.formatToParts(0).find((part) => part.type === "currency")?.value ?? currency,
+    formatMoney: (amount) => money.format(Number(amount) || 0),
+    formatNumber: (value) => number.format(Number(value) || 0),
+    formatDateTime: (date) => dateTime.format(new Date(date)),
+    formatTime: (date) => time.format(new Date(date)),
+  };
+}
+
+/**
+ * Translator and formatters for the current staff member and shop, from the
+ * `app` layout loader. Usable in any route under /app.
+ */
+export function useI18n() {
+  const data = useRouteLoaderData("routes/app");
+  const locale = data?.locale ?? DEFAULT_LOCALE;
+  const currency = data?.currencyCode ?? "INR";
+
+  return useMemo(
+    () => ({
+      locale,
+      currency,
+      t: createTranslator(locale),
+      ...createFormatters(locale, currency),
+    }),
+    [locale, currency],
+  );
+}
@@ -0,0 +1,78 @@
+// app/utils/i18n.server.js
+
+import { createRequire } from "node:module";
+import { DEFAULT_LOCALE } from "./i18n";
+import { adminGraphql } from "./admin-graphql.server";
+
+const require = createRequire(import.meta.url);
+
+// Languages @shopify/polaris ships translations for (locales/*.json)
+const POLARIS_LOCALES = [
+  "cs", "da", "de", "en", "es", "fi", "fr", "it", "ja", "ko", "nb",
+  "nl", "pl", "pt-BR", "pt-PT", "sv", "th", "tr", "vi", "zh-CN", "zh-TW",
+];
+
+const SHOP_CURRENCY_QUERY = `#graphql
+  query ShopCurrency {
+    shop { currencyCode }
+  }
+`;
+
+function canonicalLocale(value) {
+  if (!value) return null;
+  try {
+    return Intl.getCanonicalLocales(String(value).replace("_", "-"))[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The staff member's locale, e.g. "hi-IN".
+ *
+ * Shopify adds `locale` to the app URL when the admin loads it; online
+ * sessions also carry the user's locale. After that we fall back to the
+ * browser's Accept-Language, then English.
+ *
+ * @param {Request} request
+ * @param {{ locale?: string | null; onlineAccessInfo?: { associated_user?: { locale?: string } } }} [session]
+ */
+export function getRequestLocale(request, session) {
+  const candidates = [
+    new URL(request.url).searchParams.get("locale"),
+    session?.onlineAccessInfo?.associated_user?.locale,
+    session?.locale,
+    request.headers.get("accept-language")?.split(",")[0]?.split(";")[0],
+  ];
+  for (const candidate of candidates) {
+    const locale = canonicalLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * The shop's currency (ISO 4217), e.g. "INR", "AED" or "USD".
+ *
+ * @param {import('@shopify/shopify-app-react-router/server').AdminApiContext} admin
+ */
+export async function getShopCurrency(admin) {
+  const body = await adminGraphql(admin, SHOP_CURRENCY_QUERY);
+  return body.data?.shop?.currencyCode ?? "INR";
+}
+
+/**
+ * Polaris translations for a locale: the exact match ("pt-BR"), else the
+ * language ("fr-CA" -> "fr"), with English underneath for anything Polaris
+ * doesn't translate (including Hindi, which it has no file for).
+ *
+ * @param {string} locale
+ * @returns {object[]} in the order Polaris' AppProvider `i18n` expects
+ */
+export function getPolarisTranslations(locale) {
+  const english = require("@shopify/polaris/locales/en.json");
+  const match = [locale, locale.split("-")[0]].find(
+    (candidate) => candidate !== "en" && POLARIS_LOCALES.includes(candidate),
+  );
+  return match ? [require(`@shopify/polaris/locales/${match}.json`), english] : [english];
+}
@@ -1,45 +1,800 @@
 // app/utils/jewelry-pricing.js
 
 /**
- * Parse weight in grams from variant selectedOptions.
+ * Metals a collection can track a live rate for.
+ */
+export const METALS = ["gold", "silver", "platinum"];
+
+/**
+ * Where a variant's weight can come from:
+ *  - option:    a variant option matched by name (see DEFAULT_WEIGHT_OPTION_NAMES)
+ *  - metafield: a variant metafield, e.g. custom.net_weight
+ *  - inventory: the inventory item's shipping weight
+ */
+export const WEIGHT_SOURCES = ["option", "metafield", "inventory"];
+
+/**
+ * Option names read as a weight. `*` matches any characters, so "net wt*"
+ * matches "Net Wt." and "*weight" matches "Gross Weight".
+ */
+export const DEFAULT_WEIGHT_OPTION_NAMES = ["weight", "wt", "grams", "gram", "g", "gms"];
+
+// Grams per Shopify WeightUnit
+const GRAMS_PER_UNIT = {
+  GRAMS: 1,
+  KILOGRAMS: 1000,
+  OUNCES: 28.349523125,
+  POUNDS: 453.59237,
+};
+
+/**
+ * Weight units recognised after a number, with grams per unit. Longer
+ * spellings come first so "ozt" isn't read as "oz" and "mg" isn't read as "g".
+ */
+const WEIGHT_UNITS = [
+  { pattern: /^(?:ozt|oz\s*t|troy\s*oz|troy\s*ounces?)\b/, grams: 31.1034768 },
+  { pattern: /^(?:oz|ounces?)\b/, grams: 28.349523125 },
+  { pattern: /^tolas?\b/, grams: 11.6638038 },
+  { pattern: /^(?:mg|milligrams?)\b/, grams: 0.001 },
+  { pattern: /^(?:kg|kgs|kilograms?|kilos?)\b/, grams: 1000 },
+  { pattern: /^(?:ct|cts|carats?)\b/, grams: 0.2 },
+  { pattern: /^(?:g|gm|gms|grams?|gr)\b/, grams: 1 },
+];
+
+function optionNameMatches(name, pattern) {
+  const source = pattern
+    .trim()
+    .toLowerCase()
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return source !== "" && new RegExp(`^${source}$`).test(name.trim().toLowerCase());
+}
+
+// A single "," or "." before exactly three digits, as in "1,000" or
+// "1.250": a thousands group in some locales, decimals in others
+const AMBIGUOUS_NUMBER = /^[1-9]\d{0,2}[.,]\d{3}$/;
+
+/**
+ * Read a number written with either decimal separator: "2.5", "2,5",
+ * "1,234.5" and "1.234,5" all work.
+ *
+ * When both "," and "." appear, the last one is the decimal separator. A
+ * separator that appears more than once groups thousands. A single "," or
+ * "." is a decimal separator, unless it could also be grouping thousands
+ * ("1,000", "1.250"): those give NaN rather than a guess.
+ */
+export function parseLocaleNumber(text) {
+  const token = String(text ?? "").trim();
+  if (!/^\d[\d.,]*$/.test(token) || /[.,]$/.test(token)) return NaN;
+  if (AMBIGUOUS_NUMBER.test(token)) return NaN;
+
+  const lastComma = token.lastIndexOf(",");
+  const lastDot = token.lastIndexOf(".");
+  let decimal = null;
+  if (lastComma >= 0 && lastDot >= 0) decimal = lastComma > lastDot ? "," : ".";
+  else if (lastComma >= 0) decimal = token.indexOf(",") === lastComma ? "," : null;
+  else if (lastDot >= 0) decimal = token.indexOf(".") === lastDot ? "." : null;
+
+  const [whole, fraction = ""] = decimal ? token.split(decimal) : [token];
+  if (decimal && fraction.includes(decimal === "," ? "." : ",")) return NaN;
+  return parseFloat(`${whole.replace(/[.,]/g, "")}.${fraction || "0"}`);
+}
+
+/**
+ * Parse a weight such as "10g", "500 mg", "1 tola", "0.25 ozt", "5 ct" or
+ * "2,5 g" into grams. A bare number is read as grams.
+ *
+ * Returns { grams, error }. An empty value gives { grams: 0, error: null };
+ * a value that can't be read, or whose separator is ambiguous ("1,000 g"),
+ * gives grams 0 and an error saying why.
+ */
+export function parseWeight(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return { grams: 0, error: null };
+
+  const match = text.match(/(\d[\d.,]*)(.*)$/);
+  if (!match) return { grams: 0, error: `No number in "${value}"` };
+
+  const token = match[1].replace(/[.,]+$/, "");
+  if (AMBIGUOUS_NUMBER.test(token)) {
+    return {
+      grams: 0,
+      error: `Can't tell whether "${token.replace(/\d/g, "")}" in "${value}" separates thousands or decimals`,
+    };
+  }
+  const number = parseLocaleNumber(token);
+  if (Number.isNaN(number)) return { grams: 0, error: `Can't read the number in "${value}"` };
+
+  const rest = match[2].trim();
+  let gramsPerUnit = 1;
+  if (/^[a-z]/.test(rest)) {
+    const unit = WEIGHT_UNITS.find((u) => u.pattern.test(rest));
+    if (!unit) return { grams: 0, error: `Unknown weight unit in "${value}"` };
+    gramsPerUnit = unit.grams;
+  }
+
+  const grams = Math.round(number * gramsPerUnit * 1000) / 1000;
+  if (!(grams > 0)) return { grams: 0, error: `Weight "${value}" is zero` };
+  return { grams, error: null };
+}
+
+/**
+ * Parse weight from variant selectedOptions.
+ *
+ * Looks for an option whose name matches one of `optionNames` (see
+ * DEFAULT_WEIGHT_OPTION_NAMES), then reads its value with parseWeight,
+ * e.g. "10g", "500 mg", "1 tola".
+ *
+ * Returns { grams, error } like parseWeight.
+ */
+export function parseWeightFromOptions(selectedOptions, optionNames = DEFAULT_WEIGHT_OPTION_NAMES) {
+  if (!Array.isArray(selectedOptions)) return { grams: 0, error: null };
+
+  const opt = selectedOptions.find((o) =>
+    optionNames.some((pattern) => optionNameMatches(o?.name || "", pattern)),
+  );
+
+  return opt ? parseWeight(opt.value) : { grams: 0, error: null };
+}
+
+/**
+ * Grams from a Shopify Weight ({ unit: "GRAMS" | "KILOGRAMS" | ..., value }).
+ */
+export function parseMeasuredWeight(weight) {
+  const value = Number(weight?.value);
+  const factor = GRAMS_PER_UNIT[weight?.unit];
+  if (!factor || !(value > 0)) return 0;
+  return Math.round(value * factor * 1000) / 1000;
+}
+
+/**
+ * Weight from a metafield value: a number ("2.5"), a number with a unit
+ * ("500 mg"), or a weight-type metafield ('{"value":2.5,"unit":"GRAMS"}').
+ *
+ * Returns { grams, error } like parseWeight.
+ */
+export function parseWeightMetafield(value) {
+  const text = String(value ?? "").trim();
+  if (text.startsWith("{")) {
+    try {
+      const grams = parseMeasuredWeight(JSON.parse(text));
+      return grams > 0
+        ? { grams, error: null }
+        : { grams: 0, error: `Unsupported weight metafield "${text}"` };
+    } catch {
+      return { grams: 0, error: `Invalid weight metafield "${text}"` };
+    }
+  }
+  return parseWeight(text);
+}
+
+/**
+ * Parse a purity such as "22K", "18 kt", "916", "925", "999", "91.6%" or
+ * "0.75" into the fraction of fine metal it contains.
+ *
+ * Returns { label, fraction } or null if the value isn't a purity.
+ * "Sterling" is read as 925. With `karats`, for values from a field that is
+ * known to hold karats, a bare number above 1 and up to 24 ("22") is read
+ * as karats too.
+ *
+ * @param {unknown} value
+ * @param {{ karats?: boolean }} [options]
+ */
+export function parsePurity(value, { karats = false } = {}) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return null;
+  if (text.includes("sterling")) return { label: "925", fraction: 0.925 };
+
+  const karat = text.match(/(\d+(?:\.\d+)?)\s*(?:k|kt|karat|carat)\b/);
+  if (karat) {
+    const k = parseFloat(karat[1]);
+    if (k > 0 && k <= 24) return { label: `${k}K`, fraction: k / 24 };
+    return null;
+  }
+
+  const percent = text.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (percent) {
+    const p = parseFloat(percent[1]);
+    if (p > 0 && p <= 100) return { label: `${p}%`, fraction: p / 100 };
+    return null;
+  }
+
+  const number = text.match(/^(\d*\.?\d+)/);
+  if (!number) return null;
+  const n = parseFloat(number[1]);
+  if (n > 0 && n <= 1) return { label: String(n), fraction: n };
+  if (karats && n <= 24 && number[1] === text) return { label: `${n}K`, fraction: n / 24 };
+  // Millesimal fineness: 999, 958, 916, 750, 585, 925 ...
+  if (n >= 100 && n <= 1000) return { label: String(n), fraction: n / 1000 };
+  return null;
+}
+
+const PURITY_OPTION_NAMES = ["purity", "karat", "kt", "fineness", "metal purity"];
+// Options whose bare numbers are karats: "Karat: 22", "Purity: 18"
+const KARAT_OPTION_NAMES = ["purity", "karat", "kt", "metal purity"];
+
+/**
+ * Read purity from a variant option named "Purity", "Karat", "Kt" or "Fineness".
  *
- * Looks for an option whose name is like "Weight", "wt", "grams", etc.
- * Then extracts the first number from the value, e.g. "10g", "10 g", "10 grams".
+ * Returns { purity, error }: `purity` as parsePurity returns it, or null
+ * with an `error` when the option is there but can't be read, so the
+ * variant is reported instead of priced at the fine-metal rate. Both are
+ * null when there is no such option.
  */
-export function parseWeightFromOptions(selectedOptions) {
-  if (!Array.isArray(selectedOptions)) return 0;
+export function parsePurityFromOptions(selectedOptions) {
+  const opt = Array.isArray(selectedOptions)
+    ? selectedOptions.find((o) => PURITY_OPTION_NAMES.includes((o?.name || "").toLowerCase()))
+    : null;
+  if (!opt) return { purity: null, error: null };
 
-  const opt = selectedOptions.find((o) => {
-    const name = (o?.name || "").toLowerCase();
-    return ["weight", "wt", "grams", "gram", "g", "gms"].includes(name);
+  const purity = parsePurity(opt.value, {
+    karats: KARAT_OPTION_NAMES.includes(opt.name.toLowerCase()),
   });
+  return purity
+    ? { purity, error: null }
+    : { purity: null, error: `Can't read the purity "${opt.value}"` };
+}
+
+/**
+ * Read raw stone details from variant options such as "Stone" / "Stone Type",
+ * "Carat" / "Stone Weight" and "Quality" / "Clarity" / "Grade".
+ *
+ * Returns { type, carat, quality } with null for anything not found.
+ */
+export function readStoneFromOptions(selectedOptions) {
+  const find = (names) => {
+    if (!Array.isArray(selectedOptions)) return null;
+    const opt = selectedOptions.find((o) => names.includes((o?.name || "").toLowerCase()));
+    return opt ? opt.value : null;
+  };
+
+  return {
+    type: find(["stone", "stone type", "gemstone", "gem"]),
+    carat: find(["carat", "carats", "ct", "stone weight", "carat weight", "diamond weight"]),
+    quality: find(["quality", "stone quality", "clarity", "grade"]),
+  };
+}
+
+/**
+ * Normalise stone details (from options or metafields) into
+ * { type, carat, quality }, or null when the variant has no stone.
+ *
+ * `type` and `quality` are lower-cased for matching against rate tables,
+ * `carat` is a number ("0.50 ct" -> 0.5).
+ */
+export function parseStone({ type, carat, quality } = {}) {
+  const match = String(carat ?? "").match(/\d[\d.,]*/);
+  const caratWeight = match ? parseLocaleNumber(match[0].replace(/[.,]+$/, "")) || 0 : 0;
+  const stoneType = String(type ?? "").trim().toLowerCase();
+  if (!stoneType && !(caratWeight > 0)) return null;
+
+  return {
+    type: stoneType || null,
+    carat: caratWeight,
+    quality: String(quality ?? "").trim().toLowerCase() || null,
+  };
+}
+
+/**
+ * Per-carat rate for a stone from the shop's rate table
+ * ([{ stoneType, quality, ratePerCarat }]). A row for the exact quality wins
+ * over a row with no quality for the same type. Returns null if none match.
+ */
+export function findStoneRate(stoneRates, stone) {
+  if (!stone?.type || !Array.isArray(stoneRates)) return null;
+  const rows = stoneRates.filter((r) => r.stoneType.toLowerCase() === stone.type);
+  const exact = rows.find((r) => r.quality && r.quality.toLowerCase() === stone.quality);
+  const fallback = rows.find((r) => !r.quality);
+  return (exact ?? fallback)?.ratePerCarat ?? null;
+}
 
-  if (!opt) return 0;
+/**
+ * Rate per gram of an alloy, derived from the fine-metal (24K / 999) rate.
+ * Without a purity the rate is used as-is.
+ *
+ * e.g. effectiveRatePerGram(7000, { fraction: 22 / 24 }) === 6416.67
+ */
+export function effectiveRatePerGram(fineRatePerGram, purity) {
+  const rate = Number(fineRatePerGram || 0);
+  if (!purity) return rate;
+  return Math.round(rate * purity.fraction * 100) / 100;
+}
 
-  // Extract first number from the value
-  const match = String(opt.value).match(/([\d.,]+)/);
-  if (!match) return 0;
+/**
+ * Units bullion rates are quoted in, with grams per unit.
+ */
+export const QUOTE_UNITS = {
+  gram: 1,
+  "10g": 10,
+  tola: 11.6638038,
+  ozt: 31.1034768,
+  kg: 1000,
+};
 
-  const num = parseFloat(match[1].replace(",", ""));
-  return Number.isNaN(num) ? 0 : num; // assume grams
+/**
+ * Convert a market quote (e.g. 2350 USD per troy ounce) to a rate per gram
+ * in the shop currency. `fxRate` is shop currency per unit of the quote
+ * currency (1 for quotes already in the shop currency).
+ *
+ * Returns null if the unit is unknown or the FX rate is missing.
+ */
+export function quoteToRatePerGram({ value, unit = "gram", fxRate = 1 }) {
+  const grams = QUOTE_UNITS[unit];
+  const fx = Number(fxRate);
+  if (!grams || !(fx > 0)) return null;
+  return Math.round((Number(value || 0) * fx / grams) * 100) / 100;
+}
+
+/**
+ * How a collection's making charge is expressed:
+ *  - per_gram:  amount per gram of metal
+ *  - per_piece: fixed amount per piece
+ *  - percent:   % of the metal value
+ */
+export const MAKING_CHARGE_TYPES = ["none", "per_gram", "per_piece", "percent"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Making charge for one piece, never below `min` (when a charge applies),
+ * less `discountPercent` (e.g. a "10% off making charges" promotion).
+ */
+export function calculateMakingCharge(
+  metalValue,
+  weightGrams,
+  { type, value, min, discountPercent } = {},
+) {
+  const v = Number(value || 0);
+  let charge = 0;
+
+  if (type === "per_gram") charge = Number(weightGrams || 0) * v;
+  else if (type === "per_piece") charge = v;
+  else if (type === "percent") charge = metalValue * (v / 100);
+  else return 0;
+
+  const discount = Math.min(100, Math.max(0, Number(discountPercent || 0)));
+  return round2(Math.max(charge, Number(min || 0)) * (1 - discount / 100));
+}
+
+/**
+ * What a collection does with each variant's compare-at price:
+ *  - keep:         leave it as it is in Shopify
+ *  - clear:        remove it
+ *  - undiscounted: the price without the making-charge discount or a
+ *                  negative markup (cleared when there is no discount)
+ *  - markup:       the price plus `compareAtPercent`
+ */
+export const COMPARE_AT_POLICIES = ["keep", "clear", "undiscounted", "markup"];
+
+/**
+ * Tax (e.g. GST) applied after the pricing formula:
+ *  - inclusive:     add the tax to the listed price; otherwise the listed
+ *                   price is the pre-tax amount and tax is left to checkout
+ *  - metalPercent:  rate on the metal value
+ *  - makingPercent: rate on the making charge
+ *  - stonePercent:  rate on the stone value
+ */
+export const DEFAULT_TAX_RULE = {
+  inclusive: false,
+  metalPercent: 3,
+  makingPercent: 3,
+  stonePercent: 3,
+};
+
+/**
+ * The tax rule for a collection: the collection's own rates where set,
+ * otherwise the shop's.
+ */
+export function resolveTaxRule(shopTax, setting) {
+  const rule = { ...DEFAULT_TAX_RULE, ...shopTax };
+  return {
+    inclusive: Boolean(rule.inclusive),
+    metalPercent: Number(setting?.taxMetalPercent ?? rule.metalPercent) || 0,
+    makingPercent: Number(setting?.taxMakingPercent ?? rule.makingPercent) || 0,
+    stonePercent: Number(setting?.taxStonePercent ?? rule.stonePercent) || 0,
+  };
+}
+
+/**
+ * Rounding applied to the final price:
+ *  - rule:      "none", a step ("1" | "10" | "50" | "100") or a charm
+ *               ending ("end_99" | "end_999")
+ *  - direction: "nearest" | "up" | "down"
+ */
+export const ROUNDING_RULES = ["none", "1", "10", "50", "100", "end_99", "end_999"];
+export const ROUNDING_DIRECTIONS = ["nearest", "up", "down"];
+
+/**
+ * Round a price with a rounding policy, e.g.
+ *   roundPrice(48237.46, { rule: "10" })                      === 48240
+ *   roundPrice(48237.46, { rule: "end_99" })                  === 48199
+ *   roundPrice(48237.46, { rule: "end_999", direction: "up" }) === 48999
+ *
+ * Charm endings never round below the first ending (99 / 999).
+ */
+export function roundPrice(amount, { rule = "none", direction = "nearest" } = {}) {
+  if (!ROUNDING_RULES.includes(rule) || rule === "none") return amount;
+  const round = { up: Math.ceil, down: Math.floor }[direction] ?? Math.round;
+
+  if (rule.startsWith("end_")) {
+    const step = rule === "end_99" ? 100 : 1000;
+    return Math.max(step - 1, round((amount + 1) / step) * step - 1);
+  }
+  const step = Number(rule);
+  return round(amount / step) * step;
 }
 
 /**
  * Calculate price from:
- *  - weight in grams
- *  - rate per gram (₹/g)
- *  - percentage adjustment (markup / discount)
+ *  - weightGrams:  metal weight in grams
+ *  - ratePerGram:  rate per gram (shop currency per gram)
+ *  - percent:      percentage adjustment (markup / discount)
+ *  - makingCharge: { type, value, min }
+ *  - stoneValue:   value of the stones (shop currency), not marked up
+ *  - tax:          tax rule (see DEFAULT_TAX_RULE)
+ *  - rounding:     rounding policy (see roundPrice)
+ *
+ * metalValue   = weightGrams * ratePerGram
+ * makingCharge = see calculateMakingCharge
+ * preTax       = (metalValue + makingCharge) * (1 + percent/100) + stoneValue
+ * tax          = each component's share of preTax * its tax rate
+ * unrounded    = preTax + tax when inclusive, else preTax
+ * total        = unrounded, rounded with the rounding policy
  *
- * newPrice = (weightGrams * ratePerGram) * (1 + percent/100)
+ * Returns { metalValue, makingCharge, stoneValue, markup, preTax, tax,
+ * unrounded, total }, each to 2 decimals.
  */
-export function calculatePriceFromRate(weightGrams, ratePerGram, percent) {
+export function calculatePriceBreakdown({
+  weightGrams,
+  ratePerGram,
+  percent,
+  makingCharge,
+  stoneValue = 0,
+  tax,
+  rounding,
+}) {
   const w = Number(weightGrams || 0);
   const r = Number(ratePerGram || 0);
   const p = Number(percent || 0);
+  const stones = round2(Number(stoneValue || 0));
+  const rule = resolveTaxRule(tax);
+
+  const metalValue = round2(w * r);
+  const making = calculateMakingCharge(metalValue, w, makingCharge);
+  const subtotal = metalValue + making;
+  const markedUp = round2(subtotal * (1 + p / 100));
+  const preTax = round2(markedUp + stones);
+
+  // The markup is taxed at the rate of the component it was added to
+  const factor = 1 + p / 100;
+  const taxAmount = round2(
+    metalValue * factor * (rule.metalPercent / 100) +
+      making * factor * (rule.makingPercent / 100) +
+      stones * (rule.stonePercent / 100),
+  );
+
+  const unrounded = rule.inclusive ? round2(preTax + taxAmount) : preTax;
+
+  return {
+    metalValue,
+    makingCharge: making,
+    stoneValue: stones,
+    markup: round2(markedUp - subtotal),
+    preTax,
+    tax: taxAmount,
+    unrounded,
+    total: round2(roundPrice(unrounded, rounding)),
+  };
+}
+
+/**
+ * Price one variant row with its collection's setting and the shop-wide
+ * context: `{ tax, stoneRates, overrides }` (tax rule, per-carat stone rate
+ * table, and per-variant overrides keyed by variantId).
+ *
+ * Purity comes from the variant (option or metafield) first, then from the
+ * collection's default purity. When a purity applies, the collection rate
+ * is treated as the fine-metal rate.
+ *
+ * Returns { purity, ratePerGram, stoneRate, missingStoneRate,
+ * unreadablePurity, breakdown, newPrice, compareAtPrice }, where ratePerGram
+ * is the effective rate after purity and breakdown is
+ * calculatePriceBreakdown's result. `missingStoneRate` is true when the
+ * variant has a stone that no rate table row covers, `unreadablePurity`
+ * when its own purity couldn't be read (`purityError`); neither can be
+ * priced.
+ * `compareAtPrice` follows the collection's compare-at policy: undefined to
+ * leave it alone, null to clear it, or a price.
+ *
+ * An override `{ percent }` replaces the collection markup for the variant
+ * and `{ extraPercent }` adds to it; `{ price }` fixes its price, which
+ * needs no weight or stone rate and is flagged with `fixedPrice: true`.
+ * `{ locked }` on the variant or its product (overrides are keyed by
+ * either GID) keeps the current price: `locked: true`, `newPrice` is the
+ * base price and the compare-at price is left alone. The returned
+ * `percent` is the markup used.
+ */
+export function priceVariant(variant, setting, { tax, stoneRates, overrides } = {}) {
+  const override = overrides?.[variant.variantId];
+  const locked = Boolean(override?.locked || overrides?.[variant.productId]?.locked);
+  const { ratePerGram, purity: collectionPurity } = setting ?? {};
+  const percent = round2(
+    Number(override?.percent ?? setting?.percent ?? 0) + Number(override?.extraPercent ?? 0),
+  );
+  const purity = variant.purity ?? parsePurity(collectionPurity);
+  const rate = effectiveRatePerGram(ratePerGram, purity);
+  const stoneRate = variant.stone ? findStoneRate(stoneRates, variant.stone) : null;
+
+  const rounding = { rule: setting?.roundingRule, direction: setting?.roundingDirection };
+  const breakdownWith = ({ markup, makingDiscount }) =>
+    calculatePriceBreakdown({
+      weightGrams: variant.weightGrams,
+      ratePerGram: rate,
+      percent: markup,
+      makingCharge: {
+        type: setting?.makingChargeType,
+        value: setting?.makingChargeValue,
+        min: setting?.makingChargeMin,
+        discountPercent: makingDiscount,
+      },
+      stoneValue: stoneRate ? variant.stone.carat * stoneRate : 0,
+      tax: resolveTaxRule(tax, setting),
+      rounding,
+    });
+
+  const breakdown = breakdownWith({ markup: percent, makingDiscount: setting?.makingChargeDiscount });
+  const fixedPrice = !locked && override?.price > 0;
+  let newPrice = breakdown.total;
+  if (locked) newPrice = variant.basePrice;
+  else if (fixedPrice) newPrice = round2(override.price);
+
+  let compareAtPrice;
+  const policy = locked ? "keep" : setting?.compareAtPolicy ?? "keep";
+  if (policy === "clear") {
+    compareAtPrice = null;
+  } else if (policy === "undiscounted") {
+    const full = breakdownWith({ markup: Math.max(0, Number(percent || 0)), makingDiscount: 0 });
+    compareAtPrice = full.total > newPrice + 0.01 ? full.total : null;
+  } else if (policy === "markup") {
+    const marked = newPrice * (1 + Number(setting?.compareAtPercent || 0) / 100);
+    compareAtPrice = round2(roundPrice(marked, rounding));
+    if (!(compareAtPrice > newPrice)) compareAtPrice = null;
+  }
+
+  return {
+    purity,
+    ratePerGram: rate,
+    stoneRate,
+    missingStoneRate: !fixedPrice && !locked && Boolean(variant.stone) && stoneRate === null,
+    unreadablePurity: !fixedPrice && !locked && Boolean(variant.purityError),
+    breakdown,
+    percent,
+    locked,
+    fixedPrice,
+    newPrice,
+    compareAtPrice,
+  };
+}
+
+/**
+ * Safety limits checked before prices go live; null turns a limit off.
+ *  - maxPriceChangePercent: largest move of a variant's price, either way
+ *  - maxRateChangePercent:  largest move of a collection's rate from the
+ *                           previous day's rate, either way
+ * The per-collection floor is the setting's own `minPrice`.
+ */
+export const DEFAULT_GUARDRAILS = { maxPriceChangePercent: 25, maxRateChangePercent: 10 };
+
+const percentChange = (from, to) => round2(((to - from) / from) * 100);
+
+const utcDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Signed % change of a collection's rate since the previous day, or null
+ * when there is no earlier rate to compare with or the rate didn't change
+ * today (UTC): a rate set on an earlier day is already the baseline.
+ *
+ * @param {{ ratePerGram?: number; previousRatePerGram?: number | null; rateChangedAt?: Date | string | null }} setting
+ * @param {Date} [now]
+ */
+export function rateChangePercent(setting, now = new Date()) {
+  const previous = Number(setting?.previousRatePerGram);
+  if (!(previous > 0) || !(setting?.ratePerGram > 0)) return null;
+  if (!setting.rateChangedAt || utcDay(setting.rateChangedAt) !== utcDay(now)) return null;
+  return percentChange(previous, setting.ratePerGram);
+}
+
+/**
+ * The guardrails a price change breaks, as [{ rule, limit, value }]:
+ *  - price_change: the price moves more than maxPriceChangePercent
+ *                  (value: signed %)
+ *  - min_price:    the new price is below the collection's minPrice
+ *                  (value: the new price)
+ *  - rate_change:  the collection's rate moved more than
+ *                  maxRateChangePercent since the previous day (value: signed %)
+ *
+ * @param {{ oldPrice?: number | null; newPrice: number }} change
+ * @param {object} setting the collection's pricing setting
+ * @param {{ maxPriceChangePercent: number | null; maxRateChangePercent: number | null }} [guardrails]
+ */
+export function checkGuardrails({ oldPrice, newPrice }, setting, guardrails = DEFAULT_GUARDRAILS) {
+  const violations = [];
+  const { maxPriceChangePercent, maxRateChangePercent } = guardrails;
+
+  if (maxPriceChangePercent != null && oldPrice > 0) {
+    const value = percentChange(oldPrice, newPrice);
+    if (Math.abs(value) > maxPriceChangePercent) {
+      violations.push({ rule: "price_change", limit: maxPriceChangePercent, value });
+    }
+  }
+  if (setting?.minPrice > 0 && newPrice < setting.minPrice) {
+    violations.push({ rule: "min_price", limit: setting.minPrice, value: newPrice });
+  }
+  const rateChange = rateChangePercent(setting);
+  if (maxRateChangePercent != null && rateChange !== null && Math.abs(rateChange) > maxRateChangePercent) {
+    violations.push({ rule: "rate_change", limit: maxRateChangePercent, value: rateChange });
+  }
+  return violations;
+}
+
+/**
+ * Changes from a change list that break a guardrail, each with its
+ * `violations`.
+ *
+ * The old price is taken from `currentPrices` (variantId -> live price)
+ * when given, so a stale or crafted `oldPrice` can't hide a jump; the
+ * collection setting comes from `pricing` by the change's collectionId.
+ *
+ * On the server, `collectionsByProduct` (productId -> collection ids, read
+ * from Shopify) stops a change from naming a collection to dodge a limit:
+ * the setting is only used if the product is in that collection, and the
+ * minimum price is the highest of all the product's collections.
+ *
+ * @param {object[]} changes
+ * @param {{
+ *   pricing: Record<string, object>;
+ *   guardrails?: object;
+ *   currentPrices?: Map<string, number>;
+ *   collectionsByProduct?: Map<string, Set<string>>;
+ * }} context
+ */
+export function findGuardrailViolations(
+  changes,
+  { pricing, guardrails = DEFAULT_GUARDRAILS, currentPrices, collectionsByProduct },
+) {
+  return changes.flatMap((change) => {
+    if (!change) return [];
+    const oldPrice = currentPrices?.get(change.variantId) ?? change.oldPrice;
+    let setting = pricing[change.collectionId];
+    if (collectionsByProduct) {
+      const ids = [...(collectionsByProduct.get(change.productId) ?? [])];
+      const minPrice = Math.max(0, ...ids.map((id) => Number(pricing[id]?.minPrice) || 0));
+      setting = { ...(ids.includes(change.collectionId) ? setting : null), minPrice };
+    }
+    const violations = checkGuardrails(
+      { oldPrice, newPrice: Number(change.newPrice) },
+      setting,
+      guardrails,
+    );
+    return violations.length > 0 ? [{ ...change, oldPrice, violations }] : [];
+  });
+}
+
+/**
+ * Pick one collection to price each variant that appears in more than one
+ * of `collections`. Only collections with a rate take part. The winner is,
+ * by `rule`:
+ *  - "product":  the product's pricing collection (`pricingCollectionId`
+ *                in its override), when it is one of them
+ *  - "priority": else the highest `priority` in the collection settings
+ *  - "order":    else, on a tie, the first in `collections`
+ *
+ * @param {{ id: string; products: { variantId: string; productId: string }[] }[]} collections
+ * @param {Record<string, object>} pricing
+ * @param {Record<string, { pricingCollectionId?: string }>} [overrides]
+ * @returns {Map<string, { winnerId: string; rule: "product" | "priority" | "order"; collectionIds: string[] }>}
+ *          keyed by variantId, for shared variants only
+ */
+export function resolvePricingCollections(collections, pricing, overrides = {}) {
+  const candidates = new Map();
+  collections.forEach((col, order) => {
+    if (!(pricing[col.id]?.ratePerGram > 0)) return;
+    for (const prod of col.products) {
+      const list = candidates.get(prod.variantId) ?? [];
+      if (!list.some((c) => c.id === col.id)) {
+        list.push({ id: col.id, order, priority: Number(pricing[col.id].priority) || 0, productId: prod.productId });
+      }
+      candidates.set(prod.variantId, list);
+    }
+  });
+
+  const shared = new Map();
+  for (const [variantId, list] of candidates) {
+    if (list.length < 2) continue;
+    const collectionIds = list.map((c) => c.id);
+    const pinned = overrides[list[0].productId]?.pricingCollectionId;
+    if (collectionIds.includes(pinned)) {
+      shared.set(variantId, { winnerId: pinned, rule: "product", collectionIds });
+      continue;
+    }
+    const [first, second] = [...list].sort((a, b) => b.priority - a.priority || a.order - b.order);
+    shared.set(variantId, {
+      winnerId: first.id,
+      rule: first.priority > second.priority ? "priority" : "order",
+      collectionIds,
+    });
+  }
+  return shared;
+}
+
+/**
+ * Build the change list sent to `/app/update-prices` for the given
+ * collections, using each collection's setting from `pricing` and the
+ * shop-wide context (see priceVariant).
+ *
+ * Locked variants, variants without a parsed weight or with a stone that
+ * has no rate (unless an override fixes their price), and variants whose
+ * price would not move by more than a paisa (and whose compare-at price is
+ * already right), are left out. `compareAtPrice` is only included when the
+ * collection manages it.
+ *
+ * A variant in several of the collections gets one change, from the
+ * collection resolvePricingCollections picks.
+ */
+export function buildPriceChanges(collections, pricing, context) {
+  const changes = [];
+  const shared = resolvePricingCollections(collections, pricing, context?.overrides);
+
+  collections.forEach((col) => {
+    const setting = pricing[col.id];
+    if (!(setting?.ratePerGram > 0)) return;
+
+    col.products.forEach((prod) => {
+      const winnerId = shared.get(prod.variantId)?.winnerId;
+      if (winnerId && winnerId !== col.id) return;
+      // Record the effective (after purity) rate that produced the price
+      const {
+        newPrice,
+        ratePerGram,
+        percent,
+        locked,
+        fixedPrice,
+        missingStoneRate,
+        unreadablePurity,
+        compareAtPrice,
+      } = priceVariant(prod, setting, context);
+      if (locked || (!prod.weightGrams && !fixedPrice) || missingStoneRate || unreadablePurity) return;
+
+      const priceMoved = Math.abs(newPrice - prod.basePrice) > 0.01;
+      const compareAtMoved =
+        compareAtPrice !== undefined &&
+        (compareAtPrice === null || prod.compareAtPrice == null
+          ? compareAtPrice !== (prod.compareAtPrice ?? null)
+          : Math.abs(compareAtPrice - prod.compareAtPrice) > 0.01);
+
+      if (priceMoved || compareAtMoved) {
+        changes.push({
+          productId: prod.productId,
+          variantId: prod.variantId,
+          newPrice,
+          oldPrice: prod.basePrice,
+          title: prod.title,
+          variantTitle: prod.variantTitle,
+          collectionId: col.id,
+          collectionTitle: col.title,
+          ratePerGram,
+          percent,
+          ...(compareAtPrice !== undefined && {
+            compareAtPrice,
+            oldCompareAtPrice: prod.compareAtPrice ?? null,
+          }),
+        });
+      }
+    });
+  });
 
-  const base = w * r;
-  const result = base * (1 + p / 100);
-  return Math.round(result * 100) / 100; // 2 decimals
+  return changes;
 }
 
 /**
@@ -0,0 +1,81 @@
+// app/utils/metal-rates.server.js
+
+import prisma from "../db.server";
+import { getShopSettings } from "./shop-settings.server";
+import { rollRateBaseline } from "./pricing-settings.server";
+import { createManualProvider, getRateProvider } from "./rate-providers.server";
+
+/**
+ * Cached rates for a shop: { [metal]: { ratePerGram, source, fetchedAt } }
+ */
+export async function getMetalRates(shop) {
+  const rows = await prisma.metalRate.findMany({ where: { shop } });
+
+  const rates = {};
+  for (const row of rows) {
+    rates[row.metal] = {
+      ratePerGram: row.ratePerGram,
+      source: row.source,
+      fetchedAt: row.fetchedAt.toISOString(),
+    };
+  }
+  return rates;
+}
+
+/**
+ * Fetch today's rates from the shop's provider, cache them, and copy each
+ * rate onto the collections that track that metal.
+ *
+ * If the provider fails, the manual provider is used instead: the cache and
+ * the collections keep their current rates, and the error is returned.
+ *
+ * @param {string} shop
+ * @returns {Promise<{ rates: Record<string, { ratePerGram: number; source: string; fetchedAt: string }>; error: string | null }>}
+ */
+export async function refreshMetalRates(shop) {
+  const settings = await getShopSettings(shop);
+
+  let provider;
+  let fetched;
+  let error = null;
+  try {
+    provider = getRateProvider(settings);
+    fetched = await provider.fetchRates();
+  } catch (err) {
+    error = String(err?.message || err);
+    provider = createManualProvider();
+    fetched = await provider.fetchRates();
+  }
+
+  const fetchedAt = new Date();
+  for (const [metal, ratePerGram] of Object.entries(fetched)) {
+    await prisma.metalRate.upsert({
+      where: { shop_metal: { shop, metal } },
+      create: { shop, metal, ratePerGram, source: provider.label, fetchedAt },
+      update: { ratePerGram, source: provider.label, fetchedAt },
+    });
+    // Live rates are per gram in the shop currency, so the quote follows suit
+    const linked = await prisma.pricingSetting.findMany({ where: { shop, metal } });
+    for (const setting of linked) {
+      await prisma.pricingSetting.update({
+        where: { id: setting.id },
+        data: {
+          ratePerGram,
+          ...rollRateBaseline(setting, ratePerGram),
+          quoteValue: ratePerGram,
+          quoteUnit: "gram",
+          quoteCurrency: null,
+        },
+      });
+    }
+  }
+
+  return { rates: await getMetalRates(shop), error };
+}
+
+/**
+ * Remove a shop's cached rates (shop redact).
+ */
+export async function deleteMetalRates(shop) {
+  return prisma.metalRate.deleteMany({ where: { shop } });
+}
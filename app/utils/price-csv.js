@@ -0,0 +1,221 @@
+// app/utils/price-csv.js
+
+import { parseLocaleNumber } from "./jewelry-pricing";
+
+/** Columns of the price preview export, in order. */
+export const PREVIEW_CSV_COLUMNS = [
+  "product",
+  "variant",
+  "collection",
+  "weight_g",
+  "rate_per_g",
+  "markup_percent",
+  "current_price",
+  "new_price",
+  "variant_id",
+];
+
+/** Columns of the failed-changes report of a price update, in order. */
+export const ERROR_REPORT_CSV_COLUMNS = [
+  "product",
+  "variant",
+  "product_id",
+  "variant_id",
+  "new_price",
+  "error",
+  "retried",
+];
+
+// Header aliases accepted on import, after normalizeHeader
+const IMPORT_COLUMNS = {
+  collection: ["collection", "collection_id", "collection_title"],
+  rate: ["rate", "rate_per_g", "rate_per_gram"],
+  variant: ["variant_id"],
+  price: ["price", "fixed_price", "new_price"],
+  markup: ["markup", "markup_percent"],
+};
+
+function escapeCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (arrays of cells) as CSV, quoting cells that need it.
+ *
+ * @param {unknown[][]} rows
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with commas,
+ * doubled quotes and line breaks, CRLF line endings and a UTF-8 BOM (as
+ * saved by Excel). Blank lines are dropped.
+ *
+ * @param {string} text
+ * @returns {{ line: number; cells: string[] }[]} with 1-based line numbers
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((c) => c.trim() !== "")) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = "";
+  };
+
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || cells.length > 0) endRow();
+
+  return rows;
+}
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+// "₹65,400.00", "-5" or "2,5" -> number; "" -> null; unreadable -> NaN.
+// Unlike weights, "65,400" and "1,23,456" are prices in thousands.
+function readNumber(text) {
+  const token = String(text ?? "").trim();
+  if (token === "") return null;
+  const negative = token.startsWith("-");
+  let digits = token.replace(/[^\d.,]/g, "");
+  if (/^\d+(,\d{2})*,\d{3}$/.test(digits)) digits = digits.replace(/,/g, "");
+  const value = parseLocaleNumber(digits);
+  return negative ? -value : value;
+}
+
+// Variant ids may be the full GID or just the number at its end
+const variantKey = (id) => String(id ?? "").trim().split("/").pop();
+
+/**
+ * Read an import file of either kind:
+ *  - collection rates: `collection` (title or id), `rate` (per gram, shop
+ *    currency) and optionally `markup` (%)
+ *  - variant overrides: `variant_id` (GID or number) with a fixed `price`
+ *    and/or a `markup` (%) for that variant
+ * The kind is picked from the header row. The preview export has the
+ * columns of the second kind, so an edited export can be imported back.
+ *
+ * Every row is checked against the loaded collections; problems come back
+ * in `errors` as { line, code, value } for the caller to word.
+ *
+ * @param {string} text
+ * @param {{ id: string; title: string; products: { variantId: string }[] }[]} collections
+ * @returns {{
+ *   kind: "rates" | "variants" | null;
+ *   rows: number;
+ *   rates: { collectionId: string; ratePerGram: number; percent: number | null }[];
+ *   overrides: Record<string, { price?: number; percent?: number }>;
+ *   errors: { line: number; code: string; value?: string }[];
+ * }}
+ */
+export function parsePriceImport(text, collections) {
+  const result = { kind: null, rows: 0, rates: [], overrides: {}, errors: [] };
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    result.errors.push({ line: 1, code: "empty" });
+    return result;
+  }
+
+  const headers = header.cells.map(normalizeHeader);
+  const column = (name) => headers.findIndex((h) => IMPORT_COLUMNS[name].includes(h));
+  const columns = Object.fromEntries(Object.keys(IMPORT_COLUMNS).map((name) => [name, column(name)]));
+  const cellOf = (cells, name) => (columns[name] >= 0 ? (cells[columns[name]] ?? "").trim() : "");
+
+  if (columns.variant >= 0 && (columns.price >= 0 || columns.markup >= 0)) {
+    result.kind = "variants";
+  } else if (columns.collection >= 0 && columns.rate >= 0) {
+    result.kind = "rates";
+  } else {
+    result.errors.push({ line: header.line, code: "unknownFormat" });
+    return result;
+  }
+  result.rows = rows.length;
+
+  const collectionsByKey = new Map();
+  const variantIds = new Map();
+  for (const collection of collections) {
+    collectionsByKey.set(collection.id, collection.id);
+    collectionsByKey.set(variantKey(collection.id), collection.id);
+    collectionsByKey.set(collection.title.trim().toLowerCase(), collection.id);
+    for (const product of collection.products) {
+      variantIds.set(variantKey(product.variantId), product.variantId);
+    }
+  }
+
+  const seen = new Set();
+  for (const { line, cells } of rows) {
+    const fail = (code, value) => result.errors.push({ line, code, value });
+    const markup = readNumber(cellOf(cells, "markup"));
+    if (Number.isNaN(markup)) {
+      fail("invalidMarkup", cellOf(cells, "markup"));
+      continue;
+    }
+
+    if (result.kind === "rates") {
+      const name = cellOf(cells, "collection");
+      const collectionId =
+        collectionsByKey.get(name) ?? collectionsByKey.get(name.toLowerCase());
+      const rate = readNumber(cellOf(cells, "rate"));
+      if (!collectionId) fail("unknownCollection", name);
+      else if (!(rate > 0)) fail("invalidRate", cellOf(cells, "rate"));
+      else if (seen.has(collectionId)) fail("duplicate", name);
+      else {
+        seen.add(collectionId);
+        result.rates.push({ collectionId, ratePerGram: rate, percent: markup });
+      }
+      continue;
+    }
+
+    const id = cellOf(cells, "variant");
+    const variantId = variantIds.get(variantKey(id));
+    const price = readNumber(cellOf(cells, "price"));
+    if (!variantId) fail("unknownVariant", id);
+    else if (price !== null && !(price > 0)) fail("invalidPrice", cellOf(cells, "price"));
+    else if (price === null && markup === null) fail("nothingToOverride", id);
+    else if (seen.has(variantId)) fail("duplicate", id);
+    else {
+      seen.add(variantId);
+      result.overrides[variantId] = {
+        ...(price !== null && { price }),
+        ...(markup !== null && { percent: markup }),
+      };
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,249 @@
+// app/utils/price-history.server.js
+
+import prisma from "../db.server";
+
+const RUNS_PAGE_SIZE = 50;
+
+/**
+ * Work out who triggered a request from the admin auth context.
+ *
+ * Online sessions carry the staff member's name; otherwise we fall back to
+ * the user ID in the embedded app's session token.
+ *
+ * @returns {{ id: string | null; name: string | null }}
+ */
+export function getStaffUser({ session, sessionToken }) {
+  const user = session?.onlineAccessInfo?.associated_user;
+  if (user) {
+    const name = [user.first_name, user.last_name].filter(Boolean).join(" ");
+    return { id: String(user.id), name: name || user.email || null };
+  }
+
+  if (session?.userId) {
+    const name = [session.firstName, session.lastName].filter(Boolean).join(" ");
+    return { id: String(session.userId), name: name || session.email || null };
+  }
+
+  if (sessionToken?.sub) {
+    return { id: String(sessionToken.sub), name: null };
+  }
+
+  return { id: null, name: null };
+}
+
+/**
+ * Store a finished update run together with every variant change in it.
+ *
+ * `changes` are the entries submitted to `/app/update-prices`; `result` is
+ * what `updateVariantPrices` returned for them. The old price of each change
+ * comes from the updater's pre-write snapshot when one is available.
+ * Changes that carry a `compareAtPrice` also record the compare-at price
+ * before and after.
+ *
+ * @param {{
+ *   shop: string;
+ *   staff?: { id: string | null; name: string | null };
+ *   source?: string;
+ *   revertOfId?: string;
+ *   changes: object[];
+ *   result: { ok: boolean; updated: number; errors: { productId: string; variantId?: string; messages: string }[] };
+ * }} run
+ */
+export async function recordPriceRun({
+  shop,
+  staff,
+  source = "manual",
+  revertOfId = null,
+  changes,
+  result,
+}) {
+  // Errors with a variantId (rejected before sending) only fail that variant
+  const errors = result.errors ?? [];
+  const errorsByVariant = new Map(
+    errors.filter((e) => e.variantId).map((e) => [e.variantId, e.messages]),
+  );
+  const errorsByProduct = new Map(
+    errors.filter((e) => !e.variantId).map((e) => [e.productId, e.messages]),
+  );
+  const previousPrices = result.previousPrices ?? {};
+  const previousCompareAtPrices = result.previousCompareAtPrices ?? {};
+
+  const rows = changes
+    .filter((c) => c?.productId && c?.variantId && Number(c.newPrice) > 0)
+    .map((c) => {
+      const error = errorsByVariant.get(c.variantId) ?? errorsByProduct.get(c.productId) ?? null;
+      const oldPrice = previousPrices[c.variantId] ?? c.oldPrice;
+      const compareAtChanged = "compareAtPrice" in c;
+      const oldCompareAtPrice =
+        c.variantId in previousCompareAtPrices
+          ? previousCompareAtPrices[c.variantId]
+          : c.oldCompareAtPrice;
+      return {
+        productId: c.productId,
+        productTitle: c.title ?? null,
+        variantId: c.variantId,
+        variantTitle: c.variantTitle ?? null,
+        collectionId: c.collectionId ?? null,
+        collectionTitle: c.collectionTitle ?? null,
+        ratePerGram: c.ratePerGram != null ? Number(c.ratePerGram) : null,
+        percent: c.percent != null ? Number(c.percent) : null,
+        oldPrice: oldPrice != null ? Number(oldPrice) : null,
+        newPrice: Number(c.newPrice),
+        compareAtChanged,
+        oldCompareAtPrice:
+          compareAtChanged && oldCompareAtPrice != null ? Number(oldCompareAtPrice) : null,
+        newCompareAtPrice:
+          compareAtChanged && c.compareAtPrice != null ? Number(c.compareAtPrice) : null,
+        status: error ? "failed" : "updated",
+        error,
+      };
+    });
+
+  const failed = rows.filter((r) => r.status === "failed").length;
+  let status = "success";
+  if (failed > 0) status = result.updated > 0 ? "partial" : "failed";
+
+  return prisma.priceRun.create({
+    data: {
+      shop,
+      staffUserId: staff?.id ?? null,
+      staffName: staff?.name ?? null,
+      source,
+      status,
+      updated: result.updated ?? 0,
+      failed,
+      revertOfId,
+      changes: { create: rows },
+    },
+  });
+}
+
+/**
+ * List runs for a shop, newest first.
+ *
+ * Filters:
+ *  - from / to: ISO dates (inclusive days)
+ *  - collectionId: only runs that touched this collection
+ *  - product: only runs that touched a product whose title contains this text
+ */
+export async function listPriceRuns(shop, { from, to, collectionId, product } = {}) {
+  const where = { shop };
+
+  const createdAt = {};
+  if (from) createdAt.gte = new Date(`${from}T00:00:00.000Z`);
+  if (to) createdAt.lte = new Date(`${to}T23:59:59.999Z`);
+  if (Object.keys(createdAt).length > 0) where.createdAt = createdAt;
+
+  const changeFilter = {};
+  if (collectionId) changeFilter.collectionId = collectionId;
+  if (product) changeFilter.productTitle = { contains: product };
+  if (Object.keys(changeFilter).length > 0) where.changes = { some: changeFilter };
+
+  const runs = await prisma.priceRun.findMany({
+    where,
+    orderBy: { createdAt: "desc" },
+    take: RUNS_PAGE_SIZE,
+    include: {
+      changes: { select: { collectionId: true, collectionTitle: true } },
+    },
+  });
+
+  return runs.map(({ changes, ...run }) => {
+    const collections = new Map();
+    for (const c of changes) {
+      if (c.collectionId) collections.set(c.collectionId, c.collectionTitle);
+    }
+    return {
+      ...run,
+      createdAt: run.createdAt.toISOString(),
+      collections: [...collections.values()].filter(Boolean),
+      variantCount: changes.length,
+    };
+  });
+}
+
+/**
+ * Collections that appear anywhere in the shop's history, for the filter menu.
+ */
+export async function listHistoryCollections(shop) {
+  const rows = await prisma.priceChange.findMany({
+    where: { run: { shop }, collectionId: { not: null } },
+    distinct: ["collectionId"],
+    select: { collectionId: true, collectionTitle: true },
+    orderBy: { collectionTitle: "asc" },
+  });
+  return rows.map((r) => ({ id: r.collectionId, title: r.collectionTitle || r.collectionId }));
+}
+
+/**
+ * One run with all of its variant changes, or null if it isn't this shop's.
+ */
+export async function getPriceRun(shop, id) {
+  const run = await prisma.priceRun.findFirst({
+    where: { id, shop },
+    include: {
+      changes: { orderBy: [{ productTitle: "asc" }, { variantTitle: "asc" }] },
+    },
+  });
+  if (!run) return null;
+
+  const reverts = await prisma.priceRun.findMany({
+    where: { shop, revertOfId: id },
+    orderBy: { createdAt: "desc" },
+    select: { id: true, createdAt: true, status: true },
+  });
+
+  return {
+    ...run,
+    createdAt: run.createdAt.toISOString(),
+    reverts: reverts.map((r) => ({ ...r, createdAt: r.createdAt.toISOString() })),
+  };
+}
+
+/**
+ * Build the change list that puts a run's variants back to their old prices.
+ *
+ * `currentPrices` is a live snapshot (variantId -> price). A variant whose
+ * live price no longer matches the price this run set has been changed
+ * since; it is only reverted when `includeChanged` is true. Variants that
+ * no longer exist, or have no recorded old price, are skipped. If the run
+ * wrote the compare-at price, the old compare-at price is restored too.
+ */
+export function buildRevertChanges(run, currentPrices, { includeChanged = false } = {}) {
+  const changes = [];
+  const changedSince = [];
+
+  for (const c of run.changes) {
+    if (c.status !== "updated" || !(c.oldPrice > 0)) continue;
+    if (!currentPrices.has(c.variantId)) continue;
+
+    const current = currentPrices.get(c.variantId);
+    const drifted = Math.abs(current - c.newPrice) > 0.01;
+    if (drifted) changedSince.push(c.variantId);
+    if (drifted && !includeChanged) continue;
+
+    changes.push({
+      productId: c.productId,
+      variantId: c.variantId,
+      newPrice: c.oldPrice,
+      oldPrice: current,
+      ...(c.compareAtChanged && {
+        compareAtPrice: c.oldCompareAtPrice,
+        oldCompareAtPrice: c.newCompareAtPrice,
+      }),
+      title: c.productTitle,
+      variantTitle: c.variantTitle,
+      collectionId: c.collectionId,
+      collectionTitle: c.collectionTitle,
+    });
+  }
+
+  return { changes, changedSince };
+}
+
+/**
+ * Remove the shop's whole price history (shop redact).
+ */
+export async function deletePriceHistory(shop) {
+  return prisma.priceRun.deleteMany({ where: { shop } });
+}
@@ -0,0 +1,417 @@
+// app/utils/price-jobs.server.js
+
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { recordPriceRun } from "./price-history.server";
+import { mapWithConcurrency } from "./admin-graphql.server";
+import {
+  BULK_PRODUCT_THRESHOLD,
+  PRODUCT_UPDATE_CONCURRENCY,
+  fetchVariantSnapshot,
+  groupChangesByProduct,
+  planPriceUpdate,
+  updateProductVariants,
+  updateWithBulkOperation,
+} from "./shopify-price-updater.server";
+
+const WORKER_INTERVAL_MS = 5 * 1000;
+// A running job not touched for this long lost its worker and is resumed
+const STALE_JOB_MS = 2 * 60 * 1000;
+// Shops whose jobs run at the same time; each shop runs one job at a time
+const MAX_PARALLEL_JOBS = 4;
+
+export const ACTIVE_JOB_STATUSES = ["queued", "running"];
+
+/**
+ * The changes of a finished job that were sent but didn't go through: those
+ * of the products in `errors`, and, if the job stopped early, those of the
+ * products it never got to. Changes rejected up front are left out, since
+ * a retry would only reject them again.
+ */
+function failedChanges(job, errors) {
+  const products = new Set(errors.filter((e) => !e.rejected).map((e) => e.productId));
+  const updates = JSON.parse(job.updates);
+  if (job.status === "failed") {
+    // A bulk operation's progress doesn't say which products it finished
+    const done = job.bulkOperationId ? 0 : job.processed;
+    const pending = [...groupChangesByProduct(updates).keys()].slice(done);
+    pending.forEach((productId) => products.add(productId));
+  }
+  return updates
+    .filter((c) => products.has(c.productId))
+    .map((c) => {
+      const change = { ...c };
+      delete change.oldPrice;
+      delete change.oldCompareAtPrice;
+      return change;
+    });
+}
+
+/**
+ * What the Update Price page needs to show a job's progress, and once it
+ * is finished, what failed.
+ */
+function toJobStatus(job) {
+  const errors = JSON.parse(job.errors);
+  const finished = !ACTIVE_JOB_STATUSES.includes(job.status);
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100,
+    total: job.total,
+    processed: job.processed,
+    updated: job.updated,
+    failed: errors.length,
+    errors,
+    error: job.error,
+    priceRunId: job.priceRunId,
+    // For "retry failed only"; left out while running to keep polls small
+    failedChanges: finished ? failedChanges(job, errors) : [],
+  };
+}
+
+// A change planPriceUpdate rejected, as a job error that is never retried
+function toRejectedError(change) {
+  return {
+    productId: change?.productId ?? null,
+    variantId: change?.variantId ?? null,
+    newPrice: change?.newPrice ?? null,
+    messages: change.reason,
+    rejected: true,
+  };
+}
+
+/**
+ * Queue a price update for the job worker.
+ *
+ * `plan` is planPriceUpdate's result for `changes`: only its `updates` are
+ * sent, and its rejected changes go straight into the job's errors, marked
+ * `rejected` so they aren't offered for retry. The worker checks the
+ * updates again against live prices read just before it writes them, and
+ * keeps those prices for the price history and reverts. `source` and
+ * `revertOfId` go on the price run the job records, as in recordPriceRun.
+ *
+ * @param {{
+ *   shop: string;
+ *   staff?: { id: string | null; name: string | null };
+ *   source?: string;
+ *   revertOfId?: string | null;
+ *   changes: object[];
+ *   plan: { updates: object[]; rejected: object[] };
+ * }} job
+ */
+export async function enqueuePriceJob({
+  shop,
+  staff,
+  source = "manual",
+  revertOfId = null,
+  changes,
+  plan,
+}) {
+  const errors = plan.rejected.map(toRejectedError);
+
+  const job = await prisma.priceJob.create({
+    data: {
+      shop,
+      staffUserId: staff?.id ?? null,
+      staffName: staff?.name ?? null,
+      source,
+      revertOfId,
+      changes: JSON.stringify(changes),
+      updates: JSON.stringify(plan.updates),
+      total: groupChangesByProduct(plan.updates).size,
+      errors: JSON.stringify(errors),
+    },
+  });
+
+  // Start right away instead of waiting for the next tick
+  if (global.priceJobWorkerStarted) processPriceJobs();
+  return toJobStatus(job);
+}
+
+/**
+ * A shop's job by id, or null.
+ */
+export async function getPriceJob(shop, id) {
+  const job = await prisma.priceJob.findFirst({ where: { shop, id } });
+  return job ? toJobStatus(job) : null;
+}
+
+/**
+ * The shop's oldest queued or running job, so a reloaded page can keep
+ * showing its progress. `where` narrows it down, e.g. to `{ revertOfId }`.
+ */
+export async function getActivePriceJob(shop, where = {}) {
+  const job = await prisma.priceJob.findFirst({
+    where: { ...where, shop, status: { in: ACTIVE_JOB_STATUSES } },
+    orderBy: { createdAt: "asc" },
+  });
+  return job ? toJobStatus(job) : null;
+}
+
+// Record the job in the price history: every change of the products it got
+// through, plus the changes it rejected
+function recordJobRun(job, { processed, updated, errors, previous }) {
+  const done = new Set([...groupChangesByProduct(JSON.parse(job.updates)).keys()].slice(0, processed));
+  const rejected = new Set(errors.filter((e) => e.variantId).map((e) => e.variantId));
+  const changes = JSON.parse(job.changes).filter(
+    (c) => done.has(c?.productId) || rejected.has(c?.variantId),
+  );
+
+  return recordPriceRun({
+    shop: job.shop,
+    staff: { id: job.staffUserId, name: job.staffName },
+    source: job.source,
+    revertOfId: job.revertOfId,
+    changes,
+    result: {
+      ok: errors.length === 0,
+      updated,
+      errors,
+      previousPrices: previous.prices,
+      previousCompareAtPrices: previous.compareAtPrices,
+    },
+  });
+}
+
+/**
+ * Read the live prices of `changes`' variants right before they are
+ * written, add them to `previous` and save that, then plan the changes
+ * against them: variants already at their new price are dropped, and ones
+ * Shopify no longer has are added to `errors`.
+ *
+ * A price `previous` already holds was read before an earlier attempt at
+ * the same write, cut off by a restart, so it is kept: Shopify may show
+ * the new price by now.
+ */
+async function snapshotBeforeWrite(admin, job, changes, { previous, errors }) {
+  const snapshot = await fetchVariantSnapshot(admin, changes.map((c) => c.variantId));
+  for (const [variantId, price] of snapshot.prices) {
+    if (variantId in previous.prices) continue;
+    previous.prices[variantId] = price;
+    previous.compareAtPrices[variantId] = snapshot.compareAtPrices.get(variantId);
+  }
+  await prisma.priceJob.update({
+    where: { id: job.id },
+    data: {
+      previousPrices: JSON.stringify(previous.prices),
+      previousCompareAtPrices: JSON.stringify(previous.compareAtPrices),
+    },
+  });
+
+  const plan = planPriceUpdate(changes, snapshot);
+  errors.push(...plan.rejected.map(toRejectedError));
+  return plan.updates;
+}
+
+/**
+ * Send all of a job's products in one bulk operation. Its id is saved as
+ * soon as it starts, so a resumed job waits for it rather than sending the
+ * prices twice; `processed` follows the operation's object count.
+ *
+ * Before it starts, the updates are planned again against live prices
+ * (snapshotBeforeWrite) and saved as the job's updates.
+ */
+async function runBulkJob(admin, job, state) {
+  if (!job.bulkOperationId) {
+    const updates = await snapshotBeforeWrite(admin, job, JSON.parse(job.updates), state);
+    job.updates = JSON.stringify(updates);
+    job.total = groupChangesByProduct(updates).size;
+    await prisma.priceJob.update({
+      where: { id: job.id },
+      data: { updates: job.updates, total: job.total, errors: JSON.stringify(state.errors) },
+    });
+  }
+
+  const byProduct = groupChangesByProduct(JSON.parse(job.updates));
+  if (byProduct.size === 0) return { processed: 0, updated: 0, errors: [] };
+  const result = await updateWithBulkOperation(admin, byProduct, {
+    operationId: job.bulkOperationId,
+    onStarted: async (bulkOperationId) => {
+      await prisma.priceJob.update({ where: { id: job.id }, data: { bulkOperationId } });
+    },
+    onPoll: async (operation) => {
+      await prisma.priceJob.update({
+        where: { id: job.id },
+        data: { processed: Math.min(Number(operation.objectCount) || 0, job.total - 1) },
+      });
+    },
+  });
+  return { processed: byProduct.size, ...result };
+}
+
+/**
+ * Work through a claimed job from `processed` on, PRODUCT_UPDATE_CONCURRENCY
+ * products at a time. Each batch is checked against live prices read just
+ * before it is written (snapshotBeforeWrite). Progress is saved after every
+ * batch, so a job cut off by a restart picks up after the last batch it
+ * finished.
+ *
+ * Jobs of BULK_PRODUCT_THRESHOLD products or more go through runBulkJob.
+ */
+async function runPriceJob(claimed) {
+  const job = { ...claimed };
+  let { processed, updated } = job;
+  const errors = JSON.parse(job.errors);
+  const previous = {
+    prices: JSON.parse(job.previousPrices),
+    compareAtPrices: JSON.parse(job.previousCompareAtPrices),
+  };
+  const bulk = Boolean(job.bulkOperationId) || job.total >= BULK_PRODUCT_THRESHOLD;
+
+  try {
+    const { admin } = await unauthenticated.admin(job.shop);
+    const byProduct = groupChangesByProduct(JSON.parse(job.updates));
+
+    if (bulk) {
+      const result = await runBulkJob(admin, job, { previous, errors });
+      processed = result.processed;
+      updated += result.updated;
+      errors.push(...result.errors);
+      await prisma.priceJob.update({
+        where: { id: job.id },
+        data: { processed, updated, errors: JSON.stringify(errors) },
+      });
+    }
+
+    const products = bulk ? [] : [...byProduct].slice(processed);
+    for (let i = 0; i < products.length; i += PRODUCT_UPDATE_CONCURRENCY) {
+      const batch = products.slice(i, i + PRODUCT_UPDATE_CONCURRENCY);
+      const updates = await snapshotBeforeWrite(
+        admin,
+        job,
+        batch.flatMap(([, productChanges]) => productChanges),
+        { previous, errors },
+      );
+      const toSend = [...groupChangesByProduct(updates)];
+      const results = await mapWithConcurrency(
+        toSend,
+        PRODUCT_UPDATE_CONCURRENCY,
+        ([productId, productChanges]) => updateProductVariants(admin, productId, productChanges),
+      );
+      toSend.forEach(([productId, productChanges], index) => {
+        const { error } = results[index];
+        if (error) errors.push({ productId, messages: error });
+        else updated += productChanges.length;
+      });
+      processed += batch.length;
+
+      await prisma.priceJob.update({
+        where: { id: job.id },
+        data: { processed, updated, errors: JSON.stringify(errors) },
+      });
+    }
+
+    const run = await recordJobRun(job, { processed, updated, errors, previous });
+    await prisma.priceJob.update({
+      where: { id: job.id },
+      data: { status: "completed", priceRunId: run.id, finishedAt: new Date() },
+    });
+  } catch (err) {
+    console.error(`Price job ${job.id} for ${job.shop} failed:`, err);
+    // A bulk job that stopped can't tell which products went through
+    const run =
+      !bulk && processed > 0 ? await recordJobRun(job, { processed, updated, errors, previous }) : null;
+    await prisma.priceJob.update({
+      where: { id: job.id },
+      data: {
+        status: "failed",
+        error: String(err?.message || err),
+        priceRunId: run?.id ?? null,
+        finishedAt: new Date(),
+      },
+    });
+  }
+}
+
+// Shops with a job running in this process
+const runningShops = new Set();
+
+/**
+ * Claim the oldest queued job, or a running job whose worker went away, of
+ * a shop that has no other job running. The claim only succeeds if the job
+ * is unchanged since it was read, so two workers never take the same job.
+ */
+async function claimNextJob() {
+  const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+  const busy = await prisma.priceJob.findMany({
+    where: { status: "running", updatedAt: { gte: staleBefore } },
+    select: { shop: true },
+    distinct: ["shop"],
+  });
+  const job = await prisma.priceJob.findFirst({
+    where: {
+      shop: { notIn: [...new Set([...runningShops, ...busy.map((j) => j.shop)])] },
+      OR: [{ status: "queued" }, { status: "running", updatedAt: { lt: staleBefore } }],
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (!job) return null;
+
+  const claimed = await prisma.priceJob.updateMany({
+    where: { id: job.id, status: job.status, updatedAt: job.updatedAt },
+    data: { status: "running", startedAt: job.startedAt ?? new Date() },
+  });
+  return claimed.count > 0 ? job : null;
+}
+
+let claiming = false;
+
+/**
+ * Start queued jobs, one per shop and up to MAX_PARALLEL_JOBS shops at a
+ * time, so one shop's long job doesn't hold up the others. A shop's next
+ * job starts when its last one finishes.
+ */
+export async function processPriceJobs() {
+  if (claiming) return;
+  claiming = true;
+  try {
+    let job;
+    while (runningShops.size < MAX_PARALLEL_JOBS && (job = await claimNextJob())) {
+      const { shop } = job;
+      runningShops.add(shop);
+      runPriceJob(job)
+        .catch((err) => console.error(`Price job ${job.id} for ${shop} failed:`, err))
+        .finally(() => {
+          runningShops.delete(shop);
+          processPriceJobs();
+        });
+    }
+  } catch (err) {
+    console.error("Price job worker failed:", err);
+  } finally {
+    claiming = false;
+  }
+}
+
+/**
+ * Start the in-process job worker once per server process.
+ *
+ * Set DISABLE_PRICE_JOB_WORKER=true on extra instances to leave the
+ * queue to one process.
+ */
+export function startPriceJobWorker() {
+  if (global.priceJobWorkerStarted) return;
+  if (process.env.DISABLE_PRICE_JOB_WORKER === "true") return;
+  global.priceJobWorkerStarted = true;
+
+  setInterval(processPriceJobs, WORKER_INTERVAL_MS);
+}
+
+/**
+ * Fail the shop's queued and running jobs so the worker doesn't pick them
+ * up again (app uninstalled: their session is gone).
+ */
+export async function cancelPriceJobs(shop, error = "App uninstalled") {
+  return prisma.priceJob.updateMany({
+    where: { shop, status: { in: ACTIVE_JOB_STATUSES } },
+    data: { status: "failed", error, finishedAt: new Date() },
+  });
+}
+
+/**
+ * Remove a shop's price jobs (shop redact).
+ */
+export async function deletePriceJobs(shop) {
+  return prisma.priceJob.deleteMany({ where: { shop } });
+}
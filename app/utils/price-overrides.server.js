@@ -0,0 +1,81 @@
+// app/utils/price-overrides.server.js
+
+import prisma from "../db.server";
+
+/**
+ * A shop's hand-set pricing, keyed by variant or product GID:
+ *   { [targetId]: { locked?: true, price?: number, extraPercent?: number,
+ *                   pricingCollectionId?: string } }
+ *
+ * The shape priceVariant expects in its `overrides` context. Only the
+ * fields that are set appear, so overrides can be layered with spread.
+ *
+ * @param {string} shop
+ */
+export async function getPriceOverrides(shop) {
+  const rows = await prisma.priceOverride.findMany({ where: { shop } });
+
+  const overrides = {};
+  for (const row of rows) {
+    overrides[row.targetId] = {
+      ...(row.locked && { locked: true }),
+      ...(row.fixedPrice != null && { price: row.fixedPrice }),
+      ...(row.extraPercent != null && { extraPercent: row.extraPercent }),
+      ...(row.pricingCollectionId && { pricingCollectionId: row.pricingCollectionId }),
+    };
+  }
+  return overrides;
+}
+
+/**
+ * Set or clear the override for one variant (lock, fixed price, extra
+ * markup) or one product (lock, pricing collection). An override with
+ * nothing set is removed.
+ *
+ * @param {string} shop
+ * @param {string} targetId ProductVariant or Product GID
+ * @param {{
+ *   productId: string;
+ *   locked?: boolean;
+ *   fixedPrice?: number | null;
+ *   extraPercent?: number | null;
+ *   pricingCollectionId?: string | null;
+ * }} data
+ */
+export async function savePriceOverride(
+  shop,
+  targetId,
+  { productId, locked = false, fixedPrice = null, extraPercent = null, pricingCollectionId = null },
+) {
+  const isProduct = targetId === productId;
+  const data = {
+    productId,
+    locked: Boolean(locked),
+    fixedPrice: !isProduct && fixedPrice > 0 ? fixedPrice : null,
+    extraPercent: !isProduct && extraPercent ? extraPercent : null,
+    pricingCollectionId: isProduct && pricingCollectionId ? pricingCollectionId : null,
+  };
+
+  const empty =
+    !data.locked &&
+    data.fixedPrice === null &&
+    data.extraPercent === null &&
+    data.pricingCollectionId === null;
+  if (empty) {
+    await prisma.priceOverride.deleteMany({ where: { shop, targetId } });
+    return null;
+  }
+
+  return prisma.priceOverride.upsert({
+    where: { shop_targetId: { shop, targetId } },
+    update: data,
+    create: { shop, targetId, ...data },
+  });
+}
+
+/**
+ * Remove a shop's price overrides (shop redact).
+ */
+export async function deletePriceOverrides(shop) {
+  return prisma.priceOverride.deleteMany({ where: { shop } });
+}
@@ -0,0 +1,253 @@
+// app/utils/pricing-scheduler.server.js
+
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { buildPriceChanges, findGuardrailViolations } from "./jewelry-pricing";
+import { loadCatalog } from "./catalog.server";
+import { getPricingSettings } from "./pricing-settings.server";
+import { refreshMetalRates } from "./metal-rates.server";
+import {
+  getShopGuardrails,
+  getShopSettings,
+  getShopTaxRule,
+  getShopWeightSource,
+} from "./shop-settings.server";
+import { getStoneRates } from "./stone-rates.server";
+import { getPriceOverrides } from "./price-overrides.server";
+import { recordPriceRun } from "./price-history.server";
+import { updateVariantPrices } from "./shopify-price-updater.server";
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+export const SCHEDULE_FREQUENCIES = ["hourly", "daily"];
+
+/**
+ * Next time a schedule should fire after `from`.
+ *
+ *  - hourly: at the top of the next hour
+ *  - daily:  at `hour`:00 UTC, today if still ahead, otherwise tomorrow
+ */
+export function computeNextRunAt({ frequency, hour }, from = new Date()) {
+  const next = new Date(from);
+  next.setUTCMinutes(0, 0, 0);
+
+  if (frequency === "hourly") {
+    next.setUTCHours(next.getUTCHours() + 1);
+    return next;
+  }
+
+  next.setUTCHours(hour);
+  if (next <= from) next.setUTCDate(next.getUTCDate() + 1);
+  return next;
+}
+
+/**
+ * The shop's schedule, or a disabled default if none was saved yet.
+ */
+export async function getPricingSchedule(shop) {
+  const schedule = await prisma.pricingSchedule.findUnique({ where: { shop } });
+  return schedule ?? { shop, enabled: false, frequency: "daily", hour: 4, nextRunAt: null, lastRunAt: null };
+}
+
+/**
+ * Save a shop's schedule and work out when it next fires.
+ *
+ * @param {string} shop
+ * @param {{ enabled: boolean; frequency: "hourly" | "daily"; hour: number }} schedule
+ */
+export async function savePricingSchedule(shop, { enabled, frequency, hour }) {
+  const data = {
+    enabled: Boolean(enabled),
+    frequency: SCHEDULE_FREQUENCIES.includes(frequency) ? frequency : "daily",
+    hour: Math.min(23, Math.max(0, Math.floor(Number(hour) || 0))),
+  };
+  data.nextRunAt = data.enabled ? computeNextRunAt(data) : null;
+
+  return prisma.pricingSchedule.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Recent scheduled runs for a shop, newest first.
+ */
+export async function listScheduledRuns(shop, take = 10) {
+  return prisma.scheduledRun.findMany({
+    where: { shop },
+    orderBy: { startedAt: "desc" },
+    take,
+  });
+}
+
+/**
+ * The latest scheduled run if it failed and nobody has dismissed it yet.
+ */
+export async function getUnacknowledgedFailure(shop) {
+  const latest = await prisma.scheduledRun.findFirst({
+    where: { shop, status: { not: "running" } },
+    orderBy: { startedAt: "desc" },
+  });
+  if (!latest || latest.acknowledged || latest.status === "success") return null;
+  return latest;
+}
+
+export async function acknowledgeScheduledRun(shop, id) {
+  return prisma.scheduledRun.updateMany({
+    where: { shop, id },
+    data: { acknowledged: true },
+  });
+}
+
+/**
+ * Reprice a shop from its saved collection rates, using the offline session.
+ * Live metal rates are refreshed first; if the provider is down, the last
+ * known rates are used.
+ *
+ * Every attempt is logged as a ScheduledRun. Successful pushes are also
+ * recorded in the price history with source "schedule".
+ *
+ * Nobody is there to confirm a change that breaks a safety limit, so those
+ * are held back and listed in the run's message.
+ */
+export async function runScheduledRepricing(shop) {
+  const log = await prisma.scheduledRun.create({
+    data: { shop, status: "running" },
+  });
+
+  const finish = (data) =>
+    prisma.scheduledRun.update({
+      where: { id: log.id },
+      data: { ...data, finishedAt: new Date() },
+    });
+
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const { error: rateError } = await refreshMetalRates(shop);
+    if (rateError) {
+      console.warn(`Live rates unavailable for ${shop}, using saved rates: ${rateError}`);
+    }
+    const settings = await getShopSettings(shop);
+    const [{ collections, weightErrors, purityErrors }, pricing, stoneRates, overrides] = await Promise.all([
+      loadCatalog(admin, { weightSource: getShopWeightSource(settings) }),
+      getPricingSettings(shop),
+      getStoneRates(shop),
+      getPriceOverrides(shop),
+    ]);
+
+    const allChanges = buildPriceChanges(collections, pricing, {
+      tax: getShopTaxRule(settings),
+      stoneRates,
+      overrides,
+    });
+    const held = findGuardrailViolations(allChanges, {
+      pricing,
+      guardrails: getShopGuardrails(settings),
+    });
+    const heldIds = new Set(held.map((c) => c.variantId));
+    const changes = allChanges.filter((c) => !heldIds.has(c.variantId));
+
+    const skipped = [
+      weightErrors.length
+        ? `${weightErrors.length} variants skipped because their weight couldn't be read.`
+        : null,
+      purityErrors.length
+        ? `${purityErrors.length} variants skipped because their purity couldn't be read.`
+        : null,
+      held.length
+        ? `${held.length} variants held back by safety limits; review them on the Update Price page.`
+        : null,
+    ].filter(Boolean).join("\n") || null;
+    // Held-back variants need a person, so the run is flagged on the dashboard
+    if (changes.length === 0) {
+      return await finish({
+        status: held.length ? "partial" : "success",
+        message: skipped ?? "No price changes needed.",
+      });
+    }
+
+    const result = await updateVariantPrices(admin, changes, { overrides });
+    const run = await recordPriceRun({ shop, source: "schedule", changes, result });
+
+    return await finish({
+      status: held.length && run.status === "success" ? "partial" : run.status,
+      message: result.ok
+        ? skipped
+        : [...result.errors.map((e) => `${e.productId}: ${e.messages}`), skipped]
+            .filter(Boolean)
+            .join("\n"),
+      updated: run.updated,
+      failed: run.failed,
+      priceRunId: run.id,
+    });
+  } catch (err) {
+    console.error(`Scheduled repricing failed for ${shop}:`, err);
+    return finish({ status: "failed", message: String(err?.message || err) });
+  }
+}
+
+/**
+ * Fire every schedule that is due. Each schedule is moved to its next slot
+ * before running, so a slow run is never picked up twice.
+ */
+async function tick() {
+  const now = new Date();
+  const due = await prisma.pricingSchedule.findMany({
+    where: { enabled: true, nextRunAt: { lte: now } },
+  });
+
+  for (const schedule of due) {
+    const claimed = await prisma.pricingSchedule.updateMany({
+      where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt: computeNextRunAt(schedule, now), lastRunAt: now },
+    });
+    if (claimed.count === 0) continue;
+
+    await runScheduledRepricing(schedule.shop);
+  }
+}
+
+/**
+ * Start the in-process scheduler once per server process.
+ *
+ * Set DISABLE_PRICE_SCHEDULER=true on extra instances so only one process
+ * runs scheduled updates.
+ */
+export function startPricingScheduler() {
+  if (global.pricingSchedulerStarted) return;
+  if (process.env.DISABLE_PRICE_SCHEDULER === "true") return;
+  global.pricingSchedulerStarted = true;
+
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await tick();
+    } catch (err) {
+      console.error("Pricing scheduler tick failed:", err);
+    } finally {
+      running = false;
+    }
+  }, TICK_INTERVAL_MS);
+}
+
+/**
+ * Stop firing the shop's schedule (app uninstalled). The settings are kept
+ * until shop redact in case the app is installed again.
+ */
+export async function disablePricingSchedule(shop) {
+  await prisma.pricingSchedule.updateMany({
+    where: { shop },
+    data: { enabled: false, nextRunAt: null },
+  });
+}
+
+/**
+ * Remove the shop's schedule and its run log (shop redact).
+ */
+export async function deletePricingSchedule(shop) {
+  await prisma.scheduledRun.deleteMany({ where: { shop } });
+  await prisma.pricingSchedule.deleteMany({ where: { shop } });
+}
@@ -0,0 +1,181 @@
+// app/utils/pricing-settings.server.js
+
+import prisma from "../db.server";
+import {
+  COMPARE_AT_POLICIES,
+  MAKING_CHARGE_TYPES,
+  METALS,
+  QUOTE_UNITS,
+  ROUNDING_DIRECTIONS,
+  ROUNDING_RULES,
+  parsePurity,
+} from "./jewelry-pricing";
+
+/**
+ * Load every saved collection setting for a shop.
+ *
+ * Returns a map keyed by collection ID, in the same shape the
+ * Update Price page keeps in its `pricing` state:
+ *   { [collectionId]: { ratePerGram, percent, metal, purity, makingCharge*, tax* } }
+ *
+ * `quoteValue` / `quoteUnit` / `quoteCurrency` keep the rate as it was
+ * entered (e.g. 2350 USD per ozt); `ratePerGram` is that quote converted to
+ * the shop currency.
+ *
+ * `previousRatePerGram` is the rate at the end of the previous day it
+ * changed on and `rateChangedAt` when it last changed (see
+ * rollRateBaseline and rateChangePercent); `minPrice` is the collection's
+ * floor price (see checkGuardrails).
+ *
+ * `metal` is set when the collection follows a live metal rate. `purity`
+ * (e.g. "22K") is the default for variants that don't carry their own.
+ * `makingChargeType` / `makingChargeValue` / `makingChargeMin` describe the
+ * making charge (see MAKING_CHARGE_TYPES), `makingChargeDiscount` the
+ * percentage taken off it. `compareAtPolicy` / `compareAtPercent` say what
+ * to write to the compare-at price (see COMPARE_AT_POLICIES). `roundingRule` /
+ * `roundingDirection` are the rounding policy (see roundPrice). `taxMetalPercent` /
+ * `taxMakingPercent` / `taxStonePercent` override the shop's tax rates when
+ * not null.
+ *
+ * @param {string} shop
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function getPricingSettings(shop) {
+  const rows = await prisma.pricingSetting.findMany({ where: { shop } });
+
+  const pricing = {};
+  for (const row of rows) {
+    pricing[row.collectionId] = {
+      ratePerGram: row.ratePerGram,
+      percent: row.percent,
+      previousRatePerGram: row.previousRatePerGram,
+      rateChangedAt: row.rateChangedAt,
+      minPrice: row.minPrice,
+      priority: row.priority,
+      metal: row.metal,
+      purity: row.purity,
+      quoteValue: row.quoteValue,
+      quoteUnit: row.quoteUnit,
+      quoteCurrency: row.quoteCurrency,
+      makingChargeType: row.makingChargeType,
+      makingChargeValue: row.makingChargeValue,
+      makingChargeMin: row.makingChargeMin,
+      makingChargeDiscount: row.makingChargeDiscount,
+      compareAtPolicy: row.compareAtPolicy,
+      compareAtPercent: row.compareAtPercent,
+      roundingRule: row.roundingRule,
+      roundingDirection: row.roundingDirection,
+      taxMetalPercent: row.taxMetalPercent,
+      taxMakingPercent: row.taxMakingPercent,
+      taxStonePercent: row.taxStonePercent,
+    };
+  }
+  return pricing;
+}
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Rate-history fields to write along with a new `ratePerGram`, so that
+ * `previousRatePerGram` always holds the rate from before the current day.
+ *
+ * The first change of a day moves the old rate into `previousRatePerGram`;
+ * further changes that day keep it.
+ *
+ * @param {{ ratePerGram: number; rateChangedAt: Date | null } | null} existing
+ * @param {number} ratePerGram
+ * @param {Date} [now]
+ */
+export function rollRateBaseline(existing, ratePerGram, now = new Date()) {
+  if (!existing) return { rateChangedAt: now };
+  if (existing.ratePerGram === ratePerGram) return {};
+  if (existing.rateChangedAt && utcDay(existing.rateChangedAt) === utcDay(now)) {
+    return { rateChangedAt: now };
+  }
+  return { previousRatePerGram: existing.ratePerGram, rateChangedAt: now };
+}
+
+// Empty means "use the shop's rate"
+function toTaxPercent(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return n >= 0 ? n : null;
+}
+
+/**
+ * Create or update the rate and markup for one collection of a shop.
+ *
+ * @param {string} shop
+ * @param {string} collectionId
+ * @param {{
+ *   ratePerGram: number;
+ *   percent: number;
+ *   minPrice?: number | null;
+ *   metal?: string | null;
+ *   purity?: string | null;
+ *   quoteValue?: number | null;
+ *   quoteUnit?: string;
+ *   quoteCurrency?: string | null;
+ *   makingChargeType?: string;
+ *   makingChargeValue?: number;
+ *   makingChargeMin?: number;
+ *   makingChargeDiscount?: number;
+ *   compareAtPolicy?: string;
+ *   compareAtPercent?: number;
+ *   roundingRule?: string;
+ *   roundingDirection?: string;
+ *   taxMetalPercent?: number | null;
+ *   taxMakingPercent?: number | null;
+ *   taxStonePercent?: number | null;
+ * }} setting
+ */
+export async function savePricingSetting(shop, collectionId, setting) {
+  const where = { shop_collectionId: { shop, collectionId } };
+  const existing = await prisma.pricingSetting.findUnique({ where });
+  const ratePerGram = Number(setting.ratePerGram) || 0;
+
+  const data = {
+    ratePerGram,
+    ...rollRateBaseline(existing, ratePerGram),
+    percent: Number(setting.percent) || 0,
+    minPrice: Number(setting.minPrice) > 0 ? Number(setting.minPrice) : null,
+    priority: Math.trunc(Number(setting.priority) || 0),
+    metal: METALS.includes(setting.metal) ? setting.metal : null,
+    purity: parsePurity(setting.purity)?.label ?? null,
+    quoteValue: setting.quoteValue != null ? Number(setting.quoteValue) || 0 : null,
+    quoteUnit: setting.quoteUnit in QUOTE_UNITS ? setting.quoteUnit : "gram",
+    quoteCurrency: setting.quoteCurrency || null,
+    makingChargeType: MAKING_CHARGE_TYPES.includes(setting.makingChargeType)
+      ? setting.makingChargeType
+      : "none",
+    makingChargeValue: Math.max(0, Number(setting.makingChargeValue) || 0),
+    makingChargeMin: Math.max(0, Number(setting.makingChargeMin) || 0),
+    makingChargeDiscount: Math.min(100, Math.max(0, Number(setting.makingChargeDiscount) || 0)),
+    compareAtPolicy: COMPARE_AT_POLICIES.includes(setting.compareAtPolicy)
+      ? setting.compareAtPolicy
+      : "keep",
+    compareAtPercent: Math.max(0, Number(setting.compareAtPercent) || 0),
+    roundingRule: ROUNDING_RULES.includes(setting.roundingRule) ? setting.roundingRule : "none",
+    roundingDirection: ROUNDING_DIRECTIONS.includes(setting.roundingDirection)
+      ? setting.roundingDirection
+      : "nearest",
+    taxMetalPercent: toTaxPercent(setting.taxMetalPercent),
+    taxMakingPercent: toTaxPercent(setting.taxMakingPercent),
+    taxStonePercent: toTaxPercent(setting.taxStonePercent),
+  };
+
+  return prisma.pricingSetting.upsert({
+    where,
+    create: { shop, collectionId, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Remove all saved collection settings for a shop (uninstall / shop redact).
+ *
+ * @param {string} shop
+ */
+export async function deletePricingSettings(shop) {
+  return prisma.pricingSetting.deleteMany({ where: { shop } });
+}
@@ -0,0 +1,199 @@
+// app/utils/rate-providers.server.js
+
+import { lookup } from "node:dns/promises";
+import { isIP } from "node:net";
+
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Rate providers share one interface:
+ *
+ *   {
+ *     id: string;            // "manual" | "http"
+ *     label: string;         // shown as the rate's source
+ *     fetchRates(): Promise<Partial<Record<"gold" | "silver" | "platinum", number>>>;
+ *   }
+ *
+ * `fetchRates` resolves to today's rate per gram for each metal it knows.
+ */
+
+/**
+ * Rates are typed in by hand on the Update Price page, so there is nothing
+ * to fetch. Also used as the fallback when a remote provider fails.
+ */
+export function createManualProvider() {
+  return {
+    id: "manual",
+    label: "Manual",
+    fetchRates: async () => ({}),
+  };
+}
+
+// Loopback, private, CGNAT, link-local, multicast and reserved ranges
+const PRIVATE_IPV4 = [
+  "0.0.0.0/8", "10.0.0.0/8", "100.64.0.0/10", "127.0.0.0/8",
+  "169.254.0.0/16", "172.16.0.0/12", "192.168.0.0/16", "224.0.0.0/3",
+].map((cidr) => {
+  const [base, bits] = cidr.split("/");
+  return { network: ipv4ToInt(base) >>> (32 - bits), bits: Number(bits) };
+});
+
+function ipv4ToInt(address) {
+  return address.split(".").reduce((n, octet) => n * 256 + Number(octet), 0);
+}
+
+function isPrivateAddress(address) {
+  if (isIP(address) === 4) {
+    const n = ipv4ToInt(address);
+    return PRIVATE_IPV4.some(({ network, bits }) => n >>> (32 - bits) === network);
+  }
+  const ip = address.toLowerCase();
+  // IPv4-mapped, written either way: ::ffff:10.0.0.1 or ::ffff:a00:1
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const n = parseInt(mappedHex[1], 16) * 65536 + parseInt(mappedHex[2], 16);
+    return isPrivateAddress([24, 16, 8, 0].map((shift) => (n >>> shift) & 255).join("."));
+  }
+  // ::, ::1, unique local fc00::/7, link-local fe80::/10, multicast ff00::/8
+  return ip === "::" || ip === "::1" || /^(f[cd]|fe[89ab]|ff)/.test(ip);
+}
+
+/**
+ * Whether http and local hosts may be used as a rate provider, so a mock
+ * endpoint on the developer's machine can stand in for a supplier's API.
+ * Off unless RATE_PROVIDER_ALLOW_LOCAL=true is set, and never in production.
+ */
+export function localProvidersAllowed() {
+  return process.env.RATE_PROVIDER_ALLOW_LOCAL === "true" && process.env.NODE_ENV !== "production";
+}
+
+// Messages for the codes checkRateProviderUrl returns
+const RATE_PROVIDER_URL_ERRORS = {
+  invalid: "Enter a valid rate provider URL",
+  notHttps: "Rate provider URL must use https",
+  notPublic: "Rate provider URL must be a public host",
+};
+
+/**
+ * Why a rate provider URL can't be used ("invalid", "notHttps" or
+ * "notPublic"), or null. The app fetches it from its own servers for every
+ * shop, so only public https hosts are allowed. Host names are checked
+ * again after DNS lookup when rates are fetched.
+ *
+ * `allowLocal` also lets http and local hosts through; it defaults to
+ * localProvidersAllowed().
+ *
+ * @param {string} value
+ * @param {{ allowLocal?: boolean }} [options]
+ */
+export function checkRateProviderUrl(value, { allowLocal = localProvidersAllowed() } = {}) {
+  let url;
+  try {
+    url = new URL(value || "");
+  } catch {
+    return "invalid";
+  }
+  if (allowLocal) return ["https:", "http:"].includes(url.protocol) ? null : "notHttps";
+  if (url.protocol !== "https:") return "notHttps";
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (
+    host === "localhost" ||
+    /\.(localhost|local|internal)$/.test(host) ||
+    (isIP(host) && isPrivateAddress(host))
+  ) {
+    return "notPublic";
+  }
+  return null;
+}
+
+// Refuse host names that resolve to a private address
+async function assertPublicHost(url, allowLocal) {
+  const error = checkRateProviderUrl(url, { allowLocal });
+  if (error) throw new Error(RATE_PROVIDER_URL_ERRORS[error]);
+  if (allowLocal) return;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (isIP(host)) return;
+  const addresses = await lookup(host, { all: true, verbatim: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(RATE_PROVIDER_URL_ERRORS.notPublic);
+  }
+}
+
+// Read "data.rates.gold" style paths out of a JSON document.
+function readPath(body, path) {
+  return String(path || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), body);
+}
+
+/**
+ * Fetch rates per gram from a JSON endpoint, e.g. a bullion supplier's API.
+ * Only public https URLs are fetched (see checkRateProviderUrl), and
+ * redirects are not followed.
+ *
+ * `paths` tells the provider where each metal's rate lives in the response,
+ * e.g. { gold: "data.gold.perGram", silver: "data.silver.perGram" }.
+ *
+ * @param {{
+ *   url: string;
+ *   apiKey?: string | null;
+ *   paths: Partial<Record<"gold" | "silver" | "platinum", string>>;
+ *   allowLocal?: boolean;
+ * }} config
+ */
+export function createHttpJsonProvider({ url, apiKey, paths, allowLocal = localProvidersAllowed() }) {
+  const { host } = new URL(url);
+
+  return {
+    id: "http",
+    label: host,
+    async fetchRates() {
+      const headers = { Accept: "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      await assertPublicHost(url, allowLocal);
+      const res = await fetch(url, {
+        headers,
+        redirect: "error",
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+      if (!res.ok) {
+        throw new Error(`Rate provider responded with HTTP ${res.status}`);
+      }
+
+      const body = await res.json();
+      const rates = {};
+      for (const [metal, path] of Object.entries(paths)) {
+        if (!path) continue;
+        const rate = Number(readPath(body, path));
+        if (rate > 0) rates[metal] = rate;
+      }
+
+      if (Object.keys(rates).length === 0) {
+        throw new Error("Rate provider response did not contain any rates");
+      }
+      return rates;
+    },
+  };
+}
+
+/**
+ * Build the provider configured in a shop's settings.
+ */
+export function getRateProvider(settings) {
+  if (settings.rateProvider === "http" && settings.rateProviderUrl) {
+    return createHttpJsonProvider({
+      url: settings.rateProviderUrl,
+      apiKey: settings.rateProviderApiKey,
+      paths: {
+        gold: settings.rateProviderGoldPath,
+        silver: settings.rateProviderSilverPath,
+        platinum: settings.rateProviderPlatinumPath,
+      },
+    });
+  }
+  return createManualProvider();
+}
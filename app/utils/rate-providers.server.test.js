@@ -0,0 +1,67 @@
+// app/utils/rate-providers.server.test.js
+
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, test } from "node:test";
+import { checkRateProviderUrl, createHttpJsonProvider } from "./rate-providers.server.js";
+
+let server;
+let url;
+
+before(async () => {
+  server = createServer((req, res) => {
+    if (req.url !== "/rates") {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data: { gold: { perGram: 7000 }, silver: { perGram: "85.5" } } }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("reads each metal's rate from a local endpoint when local providers are allowed", async () => {
+  const provider = createHttpJsonProvider({
+    url: `${url}/rates`,
+    paths: { gold: "data.gold.perGram", silver: "data.silver.perGram", platinum: "data.platinum.perGram" },
+    allowLocal: true,
+  });
+  assert.equal(provider.label, new URL(url).host);
+  assert.deepEqual(await provider.fetchRates(), { gold: 7000, silver: 85.5 });
+});
+
+test("fails on an error response or a response without rates", async () => {
+  await assert.rejects(
+    createHttpJsonProvider({ url: `${url}/missing`, paths: { gold: "data.gold.perGram" }, allowLocal: true }).fetchRates(),
+    /HTTP 404/,
+  );
+  await assert.rejects(
+    createHttpJsonProvider({ url: `${url}/rates`, paths: { gold: "rates.gold" }, allowLocal: true }).fetchRates(),
+    /did not contain any rates/,
+  );
+});
+
+test("refuses a local endpoint unless local providers are allowed", async () => {
+  const provider = createHttpJsonProvider({
+    url: `${url}/rates`,
+    paths: { gold: "data.gold.perGram" },
+    allowLocal: false,
+  });
+  await assert.rejects(provider.fetchRates(), /must use https/);
+});
+
+test("checkRateProviderUrl only allows http and local hosts when asked to", () => {
+  assert.equal(checkRateProviderUrl("https://rates.example.com/today.json", { allowLocal: false }), null);
+  assert.equal(checkRateProviderUrl("not a url", { allowLocal: false }), "invalid");
+  assert.equal(checkRateProviderUrl("http://rates.example.com", { allowLocal: false }), "notHttps");
+  assert.equal(checkRateProviderUrl("https://localhost:3000", { allowLocal: false }), "notPublic");
+  assert.equal(checkRateProviderUrl("https://[::ffff:7f00:1]", { allowLocal: false }), "notPublic");
+  assert.equal(checkRateProviderUrl("https://10.1.2.3", { allowLocal: false }), "notPublic");
+
+  assert.equal(checkRateProviderUrl("http://localhost:3000/rates", { allowLocal: true }), null);
+  assert.equal(checkRateProviderUrl("http://127.0.0.1:3000/rates", { allowLocal: true }), null);
+  assert.equal(checkRateProviderUrl("ftp://localhost/rates", { allowLocal: true }), "notHttps");
+});
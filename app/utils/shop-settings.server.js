@@ -0,0 +1,97 @@
+// app/utils/shop-settings.server.js
+
+import prisma from "../db.server";
+import { DEFAULT_GUARDRAILS, WEIGHT_SOURCES } from "./jewelry-pricing";
+
+// Values used until a shop saves its own settings (mirror the schema defaults).
+const DEFAULT_SHOP_SETTINGS = {
+  rateProvider: "manual",
+  rateProviderUrl: null,
+  rateProviderApiKey: null,
+  rateProviderGoldPath: "gold",
+  rateProviderSilverPath: "silver",
+  rateProviderPlatinumPath: "platinum",
+  taxInclusive: false,
+  taxMetalPercent: 3,
+  taxMakingPercent: 3,
+  taxStonePercent: 3,
+  weightSources: "option",
+  weightOptionNames: "weight, wt, grams, gram, g, gms",
+  weightMetafield: "custom.net_weight",
+  ...DEFAULT_GUARDRAILS,
+};
+
+const splitList = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Shop-wide settings, falling back to defaults for shops that never saved any.
+ *
+ * @param {string} shop
+ */
+export async function getShopSettings(shop) {
+  const row = await prisma.shopSettings.findUnique({ where: { shop } });
+  return { ...DEFAULT_SHOP_SETTINGS, shop, ...row };
+}
+
+/**
+ * Update some of a shop's settings, creating the row on first save.
+ *
+ * @param {string} shop
+ * @param {Partial<typeof DEFAULT_SHOP_SETTINGS>} data
+ */
+export async function saveShopSettings(shop, data) {
+  return prisma.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * The shop-wide tax rule, in the shape `jewelry-pricing` expects.
+ */
+export function getShopTaxRule(settings) {
+  return {
+    inclusive: settings.taxInclusive,
+    metalPercent: settings.taxMetalPercent,
+    makingPercent: settings.taxMakingPercent,
+    stonePercent: settings.taxStonePercent,
+  };
+}
+
+/**
+ * The shop's safety limits, in the shape `checkGuardrails` expects.
+ */
+export function getShopGuardrails(settings) {
+  return {
+    maxPriceChangePercent: settings.maxPriceChangePercent,
+    maxRateChangePercent: settings.maxRateChangePercent,
+  };
+}
+
+/**
+ * Where the catalog reads variant weights from:
+ *   { order: ["metafield", "option", ...], optionNames: [...], metafield: { namespace, key } }
+ *
+ * Sources are tried in `order` until one yields a weight.
+ */
+export function getShopWeightSource(settings) {
+  const [namespace, key] = String(settings.weightMetafield ?? "").split(".");
+  const order = splitList(settings.weightSources).filter((s) => WEIGHT_SOURCES.includes(s));
+  return {
+    order: order.length > 0 ? order : ["option"],
+    optionNames: splitList(settings.weightOptionNames),
+    metafield: namespace && key ? { namespace, key } : null,
+  };
+}
+
+/**
+ * Remove a shop's settings (shop redact).
+ */
+export async function deleteShopSettings(shop) {
+  return prisma.shopSettings.deleteMany({ where: { shop } });
+}
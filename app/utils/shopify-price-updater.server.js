@@ -1,98 +1,593 @@
 // app/utils/shopify-price-updater.server.js
 
+import { adminGraphql, mapWithConcurrency } from "./admin-graphql.server";
+
+// Above this many products, pushes go through a Shopify bulk operation.
+export const BULK_PRODUCT_THRESHOLD = 100;
+// Product mutations in flight at once; adminGraphql holds them back when
+// the shop's query cost budget runs low
+export const PRODUCT_UPDATE_CONCURRENCY = 4;
+
+const BULK_POLL_INTERVAL_MS = 2000;
+const SNAPSHOT_BATCH_SIZE = 250;
+const MEMBERSHIP_PRODUCT_BATCH_SIZE = 100;
+const MEMBERSHIP_COLLECTION_BATCH_SIZE = 25;
+const BULK_POLL_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Shopify rejects a whole nodes(ids:) query if one id isn't a global id
+const PRODUCT_GID = /^gid:\/\/shopify\/Product\/\d+$/;
+const VARIANT_GID = /^gid:\/\/shopify\/ProductVariant\/\d+$/;
+const isGid = (pattern, id) => typeof id === "string" && pattern.test(id);
+
+const PRICE_UPDATE_MUTATION = `#graphql
+  mutation BulkUpdateProductVariants(
+    $productId: ID!
+    $variants: [ProductVariantsBulkInput!]!
+  ) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      product {
+        id
+      }
+      productVariants {
+        id
+        price
+        compareAtPrice
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const STAGED_UPLOAD_MUTATION = `#graphql
+  mutation StagePriceUpdateUpload($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets {
+        url
+        resourceUrl
+        parameters { name value }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_RUN_MUTATION = `#graphql
+  mutation RunPriceUpdateBulkOperation($mutation: String!, $stagedUploadPath: String!) {
+    bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_STATUS_QUERY = `#graphql
+  query PriceUpdateBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+        partialDataUrl
+      }
+    }
+  }
+`;
+
+const VARIANT_PRICES_QUERY = `#graphql
+  query VariantPriceSnapshot($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        price
+        compareAtPrice
+      }
+    }
+  }
+`;
+
+// One inCollection field per collection id, aliased c0, c1, ...
+function productMembershipQuery(collectionCount) {
+  const indexes = [...Array(collectionCount).keys()];
+  return `#graphql
+    query ProductCollectionMembership($ids: [ID!]!, ${indexes.map((i) => `$c${i}: ID!`).join(", ")}) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          ${indexes.map((i) => `c${i}: inCollection(id: $c${i})`).join("\n          ")}
+        }
+      }
+    }
+  `;
+}
+
+function formatUserErrors(userErrors) {
+  return userErrors
+    .map(
+      (e) =>
+        `${Array.isArray(e.field) ? e.field.join(".") : ""}: ${e.message}`,
+    )
+    .join(", ");
+}
+
+// compareAtPrice is only sent when the change carries one; null clears it
+function toVariantsInput(productChanges) {
+  return productChanges.map((c) => ({
+    id: c.variantId,
+    price: Number(c.newPrice).toFixed(2), // Decimal as string
+    ...("compareAtPrice" in c && {
+      compareAtPrice: c.compareAtPrice != null ? Number(c.compareAtPrice).toFixed(2) : null,
+    }),
+  }));
+}
+
+const moved = (from, to) =>
+  from == null || to == null ? from !== to : Math.abs(Number(to) - Number(from)) > 0.01;
+
 /**
- * Update Shopify variant prices using the productVariantsBulkUpdate mutation.
- *
- * Each "change" must be: { productId, variantId, newPrice }
+ * Check a change set against the live Shopify snapshot and sort it into
+ * what a run would send, skip and reject. Used by the real run and by dry
+ * runs, so both apply the same rules:
+ *  - rejected: no product or variant id, one that isn't a Shopify
+ *              product / variant global id, a second change for the same
+ *              variant, a price that isn't a positive number, a bad
+ *              compare-at price, a variant Shopify no longer has, a
+ *              locked variant or product, a price other than the
+ *              variant's fixed price (see getPriceOverrides), or, when
+ *              `collectionsByProduct` is given, a collectionId that isn't
+ *              one of the product's collections with saved pricing
+ *  - skipped:  price and compare-at price already match Shopify
+ *  - updates:  everything else, with `oldPrice` / `oldCompareAtPrice`
+ *              taken from Shopify
+ * Skipped and rejected changes carry a `reason`.
  *
- * @param {import('@shopify/shopify-api').AdminApiClient} admin
- * @param {{ productId: string; variantId: string; newPrice: number }[]} changes
- * @returns {Promise<{ ok: boolean; updated: number; errors: { productId: string; messages: string }[] }>}
+ * @param {object[]} changes
+ * @param {{ prices: Map<string, number>; compareAtPrices: Map<string, number | null> }} snapshot
+ * @param {Record<string, { locked?: boolean; price?: number }>} [overrides]
+ * @param {Map<string, Set<string>>} [collectionsByProduct] productId -> ids
+ *        of its collections that have saved pricing (fetchProductCollections)
  */
-export async function updateVariantPrices(admin, changes) {
-  // Group changes by productId because productVariantsBulkUpdate is per-product
-  const byProduct = new Map();
+export function planPriceUpdate(changes, { prices, compareAtPrices }, overrides = {}, collectionsByProduct = null) {
+  const updates = [];
+  const skipped = [];
+  const rejected = [];
+  const seen = new Set();
 
   for (const change of changes) {
-    const { productId, variantId, newPrice } = change;
-    if (!productId || !variantId || !newPrice || Number(newPrice) <= 0) {
+    const reject = (reason) => rejected.push({ ...change, reason });
+    const { productId, variantId, newPrice } = change ?? {};
+
+    if (!productId || !variantId) {
+      reject("Missing product or variant id");
+      continue;
+    }
+    if (!isGid(PRODUCT_GID, productId) || !isGid(VARIANT_GID, variantId)) {
+      reject("Invalid product or variant id");
+      continue;
+    }
+    if (seen.has(variantId)) {
+      reject("More than one change for this variant");
       continue;
     }
+    seen.add(variantId);
+    if (!(Number(newPrice) > 0)) {
+      reject("Price must be a positive number");
+      continue;
+    }
+    if ("compareAtPrice" in change && change.compareAtPrice != null && !(Number(change.compareAtPrice) > 0)) {
+      reject("Compare-at price must be a positive number or empty");
+      continue;
+    }
+    if (!prices.has(variantId)) {
+      reject("Variant not found in Shopify");
+      continue;
+    }
+    if (collectionsByProduct && !collectionsByProduct.get(productId)?.has(change.collectionId)) {
+      reject("Not in a collection with saved pricing");
+      continue;
+    }
+    if (overrides[variantId]?.locked || overrides[productId]?.locked) {
+      reject("Price is locked");
+      continue;
+    }
+    const fixedPrice = overrides[variantId]?.price;
+    if (fixedPrice > 0 && moved(fixedPrice, newPrice)) {
+      reject(`Has a fixed price of ${Number(fixedPrice).toFixed(2)}`);
+      continue;
+    }
+
+    const oldPrice = prices.get(variantId);
+    const oldCompareAtPrice = compareAtPrices.get(variantId) ?? null;
+    const compareAtMoved = "compareAtPrice" in change && moved(oldCompareAtPrice, change.compareAtPrice);
+
+    if (!moved(oldPrice, newPrice) && !compareAtMoved) {
+      skipped.push({ ...change, reason: "Already at this price" });
+      continue;
+    }
+    updates.push({ ...change, oldPrice, oldCompareAtPrice });
+  }
 
+  return { updates, skipped, rejected };
+}
+
+/**
+ * Group changes by productId, because productVariantsBulkUpdate is
+ * per-product. Products keep the order they first appear in.
+ *
+ * @returns {Map<string, object[]>}
+ */
+export function groupChangesByProduct(changes) {
+  const byProduct = new Map();
+
+  for (const change of changes) {
+    const { productId } = change;
     const list = byProduct.get(productId) || [];
     list.push(change);
     byProduct.set(productId, list);
   }
 
-  const mutation = `#graphql
-    mutation BulkUpdateProductVariants(
-      $productId: ID!
-      $variants: [ProductVariantsBulkInput!]!
-    ) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        product {
-          id
-        }
-        productVariants {
-          id
-          price
-        }
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `;
+  return byProduct;
+}
+
+/**
+ * Update the variants of one product with a single
+ * productVariantsBulkUpdate call.
+ *
+ * @returns {Promise<{ error: string | null }>} the user errors or
+ *          request failure, if any
+ */
+export async function updateProductVariants(admin, productId, productChanges) {
+  try {
+    const json = await adminGraphql(admin, PRICE_UPDATE_MUTATION, {
+      variables: {
+        productId,
+        variants: toVariantsInput(productChanges),
+      },
+    });
+
+    const userErrors = json.data?.productVariantsBulkUpdate?.userErrors ?? [];
+    return { error: userErrors.length > 0 ? formatUserErrors(userErrors) : null };
+  } catch (err) {
+    return { error: String(err?.message || err) };
+  }
+}
+
+/**
+ * One productVariantsBulkUpdate call per product, up to
+ * PRODUCT_UPDATE_CONCURRENCY at a time.
+ */
+async function updatePerProduct(admin, byProduct) {
+  const entries = [...byProduct.entries()];
+  const results = await mapWithConcurrency(
+    entries,
+    PRODUCT_UPDATE_CONCURRENCY,
+    ([productId, productChanges]) => updateProductVariants(admin, productId, productChanges),
+  );
 
   let updated = 0;
   const errors = [];
+  entries.forEach(([productId, productChanges], index) => {
+    const { error } = results[index];
+    if (error) {
+      errors.push({ productId, messages: error });
+    } else {
+      // Count all variants for that product as updated
+      updated += productChanges.length;
+    }
+  });
 
-  for (const [productId, productChanges] of byProduct.entries()) {
-    try {
-      const variantsInput = productChanges.map((c) => ({
-        id: c.variantId,
-        price: Number(c.newPrice).toFixed(2), // Decimal as string
-      }));
+  return { updated, errors };
+}
 
-      const res = await admin.graphql(mutation, {
-        variables: {
-          productId,
-          variants: variantsInput,
+async function stageBulkVariables(admin, jsonl) {
+  const json = await adminGraphql(admin, STAGED_UPLOAD_MUTATION, {
+    variables: {
+      input: [
+        {
+          resource: "BULK_MUTATION_VARIABLES",
+          filename: "price-updates.jsonl",
+          mimeType: "text/jsonl",
+          httpMethod: "POST",
         },
-      });
+      ],
+    },
+  });
+  const result = json.data?.stagedUploadsCreate;
+  if (result?.userErrors?.length) {
+    throw new Error(formatUserErrors(result.userErrors));
+  }
+
+  const target = result?.stagedTargets?.[0];
+  if (!target) throw new Error("Shopify did not return a staged upload target");
+
+  const form = new FormData();
+  for (const { name, value } of target.parameters) {
+    form.append(name, value);
+  }
+  form.append(
+    "file",
+    new Blob([jsonl], { type: "text/jsonl" }),
+    "price-updates.jsonl",
+  );
+
+  const upload = await fetch(target.url, { method: "POST", body: form });
+  if (!upload.ok) {
+    throw new Error(`Staged upload failed with HTTP ${upload.status}`);
+  }
+
+  const key = target.parameters.find((p) => p.name === "key")?.value;
+  if (!key) throw new Error("Staged upload target has no key parameter");
+  return key;
+}
+
+async function waitForBulkOperation(admin, id, onPoll) {
+  const deadline = Date.now() + BULK_POLL_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const json = await adminGraphql(admin, BULK_STATUS_QUERY, { variables: { id } });
+    const operation = json.data?.node;
 
-      const json = await res.json();
-      const result = json.data?.productVariantsBulkUpdate;
-      const userErrors = result?.userErrors ?? [];
-
-      if (userErrors.length > 0) {
-        errors.push({
-          productId,
-          messages: userErrors
-            .map(
-              (e) =>
-                `${Array.isArray(e.field) ? e.field.join(".") : ""}: ${
-                  e.message
-                }`,
-            )
-            .join(", "),
-        });
-      } else {
-        // Count all variants for that product as updated
-        updated += productChanges.length;
+    if (operation && !["CREATED", "RUNNING"].includes(operation.status)) {
+      return operation;
+    }
+    if (operation && onPoll) await onPoll(operation);
+    await new Promise((resolve) => setTimeout(resolve, BULK_POLL_INTERVAL_MS));
+  }
+
+  throw new Error(`Bulk operation ${id} did not finish in time`);
+}
+
+async function readBulkResults(url) {
+  if (!url) return [];
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Bulk results download failed with HTTP ${res.status}`);
+
+  const text = await res.text();
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Upload all product changes as a JSONL file and run productVariantsBulkUpdate
+ * for every line in a single Shopify bulk operation.
+ *
+ * Results are mapped back to products through each line's `__lineNumber`.
+ *
+ * Options, for callers that must survive a restart (the job worker):
+ *  - operationId: a bulk operation already started for the same
+ *                 `byProduct`; it is waited for instead of starting another
+ *  - onStarted(id): called once the operation is running
+ *  - onPoll(operation): called on every status poll, with its objectCount
+ *
+ * @param {import('@shopify/shopify-api').AdminApiClient} admin
+ * @param {Map<string, object[]>} byProduct
+ * @param {{
+ *   operationId?: string | null;
+ *   onStarted?: (id: string) => Promise<void>;
+ *   onPoll?: (operation: { status: string; objectCount: string }) => Promise<void>;
+ * }} [options]
+ * @returns {Promise<{ updated: number; errors: { productId: string; messages: string }[] }>}
+ */
+export async function updateWithBulkOperation(admin, byProduct, { operationId, onStarted, onPoll } = {}) {
+  const entries = [...byProduct.entries()];
+  const jsonl = entries
+    .map(([productId, productChanges]) =>
+      JSON.stringify({ productId, variants: toVariantsInput(productChanges) }),
+    )
+    .join("\n");
+
+  const failAll = (message) => ({
+    updated: 0,
+    errors: entries.map(([productId]) => ({ productId, messages: message })),
+  });
+
+  let operation;
+  try {
+    let id = operationId;
+    if (!id) {
+      const stagedUploadPath = await stageBulkVariables(admin, jsonl);
+
+      const json = await adminGraphql(admin, BULK_RUN_MUTATION, {
+        variables: { mutation: PRICE_UPDATE_MUTATION, stagedUploadPath },
+      });
+      const result = json.data?.bulkOperationRunMutation;
+      if (result?.userErrors?.length) {
+        return failAll(formatUserErrors(result.userErrors));
       }
-    } catch (err) {
+      id = result.bulkOperation.id;
+      if (onStarted) await onStarted(id);
+    }
+
+    operation = await waitForBulkOperation(admin, id, onPoll);
+  } catch (err) {
+    return failAll(String(err?.message || err));
+  }
+
+  let lines = [];
+  try {
+    lines = await readBulkResults(operation.url || operation.partialDataUrl);
+  } catch (err) {
+    return failAll(String(err?.message || err));
+  }
+
+  const byLine = new Map(lines.map((line) => [line.__lineNumber, line]));
+  let updated = 0;
+  const errors = [];
+
+  entries.forEach(([productId, productChanges], index) => {
+    const line = byLine.get(index);
+    if (!line) {
+      errors.push({
+        productId,
+        messages: `Bulk operation ${operation.status.toLowerCase()}${
+          operation.errorCode ? ` (${operation.errorCode})` : ""
+        }: no result for this product`,
+      });
+      return;
+    }
+
+    const userErrors = line.data?.productVariantsBulkUpdate?.userErrors ?? [];
+    if (line.errors?.length) {
       errors.push({
         productId,
-        messages: String(err?.message || err),
+        messages: line.errors.map((e) => e.message).join(", "),
       });
+    } else if (userErrors.length > 0) {
+      errors.push({ productId, messages: formatUserErrors(userErrors) });
+    } else {
+      updated += productChanges.length;
+    }
+  });
+
+  return { updated, errors };
+}
+
+/**
+ * Read the live price and compare-at price of each variant from Shopify.
+ *
+ * Variants that no longer exist, and ids that aren't variant global ids,
+ * are left out of both maps; a variant without a compare-at price maps to
+ * null in `compareAtPrices`.
+ *
+ * @param {import('@shopify/shopify-api').AdminApiClient} admin
+ * @param {string[]} variantIds
+ * @returns {Promise<{ prices: Map<string, number>; compareAtPrices: Map<string, number | null> }>}
+ */
+export async function fetchVariantSnapshot(admin, variantIds) {
+  const ids = [...new Set(variantIds.filter((id) => isGid(VARIANT_GID, id)))];
+  const prices = new Map();
+  const compareAtPrices = new Map();
+
+  for (let i = 0; i < ids.length; i += SNAPSHOT_BATCH_SIZE) {
+    const json = await adminGraphql(admin, VARIANT_PRICES_QUERY, {
+      variables: { ids: ids.slice(i, i + SNAPSHOT_BATCH_SIZE) },
+    });
+    for (const node of json.data?.nodes ?? []) {
+      if (!node?.id) continue;
+      prices.set(node.id, Number(node.price));
+      compareAtPrices.set(node.id, node.compareAtPrice != null ? Number(node.compareAtPrice) : null);
+    }
+  }
+
+  return { prices, compareAtPrices };
+}
+
+/**
+ * Which of `collectionIds` each product is in, read from Shopify, so
+ * server-side checks don't have to trust the collection a change names.
+ *
+ * Products that don't exist are left out of the returned map.
+ *
+ * @param {import('@shopify/shopify-api').AdminApiClient} admin
+ * @param {string[]} productIds
+ * @param {string[]} collectionIds
+ * @returns {Promise<Map<string, Set<string>>>} productId -> collection ids
+ */
+export async function fetchProductCollections(admin, productIds, collectionIds) {
+  const ids = [...new Set(productIds.filter((id) => isGid(PRODUCT_GID, id)))];
+  const byProduct = new Map();
+  if (collectionIds.length === 0) return byProduct;
+
+  for (let i = 0; i < ids.length; i += MEMBERSHIP_PRODUCT_BATCH_SIZE) {
+    for (let j = 0; j < collectionIds.length; j += MEMBERSHIP_COLLECTION_BATCH_SIZE) {
+      const batch = collectionIds.slice(j, j + MEMBERSHIP_COLLECTION_BATCH_SIZE);
+      const json = await adminGraphql(admin, productMembershipQuery(batch.length), {
+        variables: {
+          ids: ids.slice(i, i + MEMBERSHIP_PRODUCT_BATCH_SIZE),
+          ...Object.fromEntries(batch.map((id, k) => [`c${k}`, id])),
+        },
+      });
+      for (const node of json.data?.nodes ?? []) {
+        if (!node?.id) continue;
+        const member = byProduct.get(node.id) ?? new Set();
+        batch.forEach((id, k) => node[`c${k}`] && member.add(id));
+        byProduct.set(node.id, member);
+      }
     }
   }
 
+  return byProduct;
+}
+
+/**
+ * Read the live price of each variant from Shopify.
+ *
+ * Variants that no longer exist are left out of the returned map.
+ *
+ * @param {import('@shopify/shopify-api').AdminApiClient} admin
+ * @param {string[]} variantIds
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function fetchVariantPrices(admin, variantIds) {
+  const { prices } = await fetchVariantSnapshot(admin, variantIds);
+  return prices;
+}
+
+/**
+ * Update Shopify variant prices using the productVariantsBulkUpdate mutation.
+ *
+ * Each "change" must be: { productId, variantId, newPrice }, optionally with
+ * `compareAtPrice` (a number, or null to clear it), which is written in the
+ * same mutation.
+ *
+ * Small change sets are sent one mutation per product, a few products at
+ * a time (see adminGraphql for throttling and retries). Once the number of
+ * products reaches BULK_PRODUCT_THRESHOLD (or `mode` is "bulk"), the same
+ * mutation runs through bulkOperationRunMutation instead.
+ *
+ * Before anything is written, the current price of every variant is read
+ * back from Shopify and returned as `previousPrices` (variantId -> price),
+ * so the run can later be reverted to exactly those values. Compare-at
+ * prices are snapshotted the same way in `previousCompareAtPrices`.
+ *
+ * The change set is checked with planPriceUpdate first: changes already
+ * at their price are `skipped`, and rejected ones come back in `errors`
+ * with their variantId. Pass the shop's `overrides` to enforce locks and
+ * fixed prices.
+ *
+ * @param {import('@shopify/shopify-api').AdminApiClient} admin
+ * @param {{ productId: string; variantId: string; newPrice: number; compareAtPrice?: number | null }[]} changes
+ * @param {{ mode?: "auto" | "bulk" | "sequential"; overrides?: Record<string, object> }} [options]
+ * @returns {Promise<{
+ *   ok: boolean;
+ *   updated: number;
+ *   skipped: number;
+ *   errors: { productId: string; variantId?: string; messages: string }[];
+ *   previousPrices: Record<string, number>;
+ *   previousCompareAtPrices: Record<string, number | null>;
+ * }>}
+ */
+export async function updateVariantPrices(admin, changes, { mode = "auto", overrides } = {}) {
+  const snapshot = await fetchVariantSnapshot(admin, changes.map((c) => c?.variantId));
+  const plan = planPriceUpdate(changes, snapshot, overrides);
+
+  const byProduct = groupChangesByProduct(plan.updates);
+  const rejected = plan.rejected.map((c) => ({
+    productId: c?.productId ?? null,
+    variantId: c?.variantId ?? null,
+    messages: c.reason,
+  }));
+
+  const useBulk =
+    mode === "bulk" ||
+    (mode === "auto" && byProduct.size >= BULK_PRODUCT_THRESHOLD);
+
+  const { updated, errors } = useBulk
+    ? await updateWithBulkOperation(admin, byProduct)
+    : await updatePerProduct(admin, byProduct);
+
   return {
-    ok: errors.length === 0,
+    ok: errors.length === 0 && rejected.length === 0,
     updated,
-    errors,
+    skipped: plan.skipped.length,
+    errors: [...rejected, ...errors],
+    previousPrices: Object.fromEntries(snapshot.prices),
+    previousCompareAtPrices: Object.fromEntries(snapshot.compareAtPrices),
   };
-}
\ No newline at end of file
+}
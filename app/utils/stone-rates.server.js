@@ -0,0 +1,57 @@
+// app/utils/stone-rates.server.js
+
+import prisma from "../db.server";
+
+/**
+ * A shop's per-carat stone rate table:
+ *   [{ stoneType, quality, ratePerCarat }]
+ *
+ * `stoneType` and `quality` are stored lower-case; an empty `quality` row
+ * applies to every grade of that stone without a row of its own.
+ *
+ * @param {string} shop
+ */
+export async function getStoneRates(shop) {
+  const rows = await prisma.stoneRate.findMany({
+    where: { shop },
+    orderBy: [{ stoneType: "asc" }, { quality: "asc" }],
+  });
+  return rows.map(({ stoneType, quality, ratePerCarat }) => ({
+    stoneType,
+    quality,
+    ratePerCarat,
+  }));
+}
+
+/**
+ * Replace a shop's whole stone rate table.
+ *
+ * Rows without a stone type or with a rate below zero are dropped; for
+ * duplicate type/quality pairs the last row wins.
+ *
+ * @param {string} shop
+ * @param {{ stoneType: string; quality?: string; ratePerCarat: number }[]} rates
+ */
+export async function saveStoneRates(shop, rates) {
+  const rows = new Map();
+  for (const rate of rates) {
+    const stoneType = String(rate.stoneType ?? "").trim().toLowerCase();
+    const quality = String(rate.quality ?? "").trim().toLowerCase();
+    const ratePerCarat = Number(rate.ratePerCarat);
+    if (!stoneType || !(ratePerCarat >= 0)) continue;
+    rows.set(`${stoneType}|${quality}`, { shop, stoneType, quality, ratePerCarat });
+  }
+
+  await prisma.$transaction([
+    prisma.stoneRate.deleteMany({ where: { shop } }),
+    ...[...rows.values()].map((data) => prisma.stoneRate.create({ data })),
+  ]);
+  return getStoneRates(shop);
+}
+
+/**
+ * Remove a shop's stone rates (shop redact).
+ */
+export async function deleteStoneRates(shop) {
+  return prisma.stoneRate.deleteMany({ where: { shop } });
+}
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "PricingSetting" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "ratePerGram" REAL NOT NULL DEFAULT 0,
+    "percent" REAL NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PricingSetting_shop_collectionId_key" ON "PricingSetting"("shop", "collectionId");
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "PriceRun" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "staffName" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "status" TEXT NOT NULL,
+    "updated" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "PriceChange" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "runId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT,
+    "variantId" TEXT NOT NULL,
+    "variantTitle" TEXT,
+    "collectionId" TEXT,
+    "collectionTitle" TEXT,
+    "ratePerGram" REAL,
+    "percent" REAL,
+    "oldPrice" REAL,
+    "newPrice" REAL NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'updated',
+    "error" TEXT,
+    CONSTRAINT "PriceChange_runId_fkey" FOREIGN KEY ("runId") REFERENCES "PriceRun" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PriceRun_shop_createdAt_idx" ON "PriceRun"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PriceChange_runId_idx" ON "PriceChange"("runId");
+
+-- CreateIndex
+CREATE INDEX "PriceChange_variantId_idx" ON "PriceChange"("variantId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PriceRun" ADD COLUMN "revertOfId" TEXT;
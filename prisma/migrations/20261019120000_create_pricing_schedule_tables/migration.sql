@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "PricingSchedule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "frequency" TEXT NOT NULL DEFAULT 'daily',
+    "hour" INTEGER NOT NULL DEFAULT 4,
+    "nextRunAt" DATETIME,
+    "lastRunAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "ScheduledRun" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "message" TEXT,
+    "updated" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "priceRunId" TEXT,
+    "acknowledged" BOOLEAN NOT NULL DEFAULT false,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PricingSchedule_shop_key" ON "PricingSchedule"("shop");
+
+-- CreateIndex
+CREATE INDEX "ScheduledRun_shop_startedAt_idx" ON "ScheduledRun"("shop", "startedAt");
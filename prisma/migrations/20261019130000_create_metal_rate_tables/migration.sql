@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "metal" TEXT;
+
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "rateProvider" TEXT NOT NULL DEFAULT 'manual',
+    "rateProviderUrl" TEXT,
+    "rateProviderApiKey" TEXT,
+    "rateProviderGoldPath" TEXT NOT NULL DEFAULT 'gold',
+    "rateProviderSilverPath" TEXT NOT NULL DEFAULT 'silver',
+    "rateProviderPlatinumPath" TEXT NOT NULL DEFAULT 'platinum',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "MetalRate" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "metal" TEXT NOT NULL,
+    "ratePerGram" REAL NOT NULL,
+    "source" TEXT NOT NULL,
+    "fetchedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSettings_shop_key" ON "ShopSettings"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MetalRate_shop_metal_key" ON "MetalRate"("shop", "metal");
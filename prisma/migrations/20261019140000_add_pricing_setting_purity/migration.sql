@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "purity" TEXT;
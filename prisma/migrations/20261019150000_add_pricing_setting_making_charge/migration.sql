@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "makingChargeType" TEXT NOT NULL DEFAULT 'none';
+ALTER TABLE "PricingSetting" ADD COLUMN "makingChargeValue" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "PricingSetting" ADD COLUMN "makingChargeMin" REAL NOT NULL DEFAULT 0;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "taxMetalPercent" REAL;
+ALTER TABLE "PricingSetting" ADD COLUMN "taxMakingPercent" REAL;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "taxInclusive" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "ShopSettings" ADD COLUMN "taxMetalPercent" REAL NOT NULL DEFAULT 3;
+ALTER TABLE "ShopSettings" ADD COLUMN "taxMakingPercent" REAL NOT NULL DEFAULT 3;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "taxStonePercent" REAL;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "taxStonePercent" REAL NOT NULL DEFAULT 3;
+
+-- CreateTable
+CREATE TABLE "StoneRate" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "stoneType" TEXT NOT NULL,
+    "quality" TEXT NOT NULL DEFAULT '',
+    "ratePerCarat" REAL NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StoneRate_shop_stoneType_quality_key" ON "StoneRate"("shop", "stoneType", "quality");
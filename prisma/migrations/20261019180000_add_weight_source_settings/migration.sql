@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "weightSources" TEXT NOT NULL DEFAULT 'option';
+ALTER TABLE "ShopSettings" ADD COLUMN "weightOptionNames" TEXT NOT NULL DEFAULT 'weight, wt, grams, gram, g, gms';
+ALTER TABLE "ShopSettings" ADD COLUMN "weightMetafield" TEXT NOT NULL DEFAULT 'custom.net_weight';
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "quoteValue" REAL;
+ALTER TABLE "PricingSetting" ADD COLUMN "quoteUnit" TEXT NOT NULL DEFAULT 'gram';
+ALTER TABLE "PricingSetting" ADD COLUMN "quoteCurrency" TEXT;
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "rate" REAL NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_shop_currency_key" ON "ExchangeRate"("shop", "currency");
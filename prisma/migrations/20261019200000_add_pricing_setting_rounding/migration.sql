@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "roundingRule" TEXT NOT NULL DEFAULT 'none';
+ALTER TABLE "PricingSetting" ADD COLUMN "roundingDirection" TEXT NOT NULL DEFAULT 'nearest';
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "makingChargeDiscount" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "PricingSetting" ADD COLUMN "compareAtPolicy" TEXT NOT NULL DEFAULT 'keep';
+ALTER TABLE "PricingSetting" ADD COLUMN "compareAtPercent" REAL NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "PriceChange" ADD COLUMN "compareAtChanged" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "PriceChange" ADD COLUMN "oldCompareAtPrice" REAL;
+ALTER TABLE "PriceChange" ADD COLUMN "newCompareAtPrice" REAL;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "previousRatePerGram" REAL;
+ALTER TABLE "PricingSetting" ADD COLUMN "rateChangedAt" DATETIME;
+ALTER TABLE "PricingSetting" ADD COLUMN "minPrice" REAL;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "maxPriceChangePercent" REAL DEFAULT 25;
+ALTER TABLE "ShopSettings" ADD COLUMN "maxRateChangePercent" REAL DEFAULT 10;
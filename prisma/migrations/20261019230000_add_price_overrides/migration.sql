@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "PriceOverride" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "locked" BOOLEAN NOT NULL DEFAULT false,
+    "fixedPrice" REAL,
+    "extraPercent" REAL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceOverride_shop_targetId_key" ON "PriceOverride"("shop", "targetId");
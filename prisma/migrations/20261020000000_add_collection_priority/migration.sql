@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "PricingSetting" ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "PriceOverride" ADD COLUMN "pricingCollectionId" TEXT;
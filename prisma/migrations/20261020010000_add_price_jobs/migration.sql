@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "PriceJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "staffName" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "changes" TEXT NOT NULL,
+    "updates" TEXT NOT NULL,
+    "total" INTEGER NOT NULL,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "updated" INTEGER NOT NULL DEFAULT 0,
+    "errors" TEXT NOT NULL DEFAULT '[]',
+    "previousPrices" TEXT NOT NULL DEFAULT '{}',
+    "previousCompareAtPrices" TEXT NOT NULL DEFAULT '{}',
+    "error" TEXT,
+    "priceRunId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "PriceJob_status_createdAt_idx" ON "PriceJob"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PriceJob_shop_createdAt_idx" ON "PriceJob"("shop", "createdAt");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "PriceJob" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'manual';
+ALTER TABLE "PriceJob" ADD COLUMN "revertOfId" TEXT;
+ALTER TABLE "PriceJob" ADD COLUMN "bulkOperationId" TEXT;